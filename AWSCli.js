@@ -0,0 +1,60 @@
+const CommandRunner = require("./CommandRunner");
+
+/**
+ * @typedef {Object} AWSCliOptions
+ * @property {String} cli the AWS CLI executable.  Defaults to `aws`.  Point this at a fake script to run offline.
+ * @property {null|String} region the AWS region to use.  If not given, uses the CLI's configured default.
+ * @property {null|String} profile the named AWS CLI profile to use.
+ * @property {null|String} endpointUrl overrides the API endpoint, to use a local fake of the AWS API (such as `moto`
+ *   or LocalStack).
+*/
+
+/**
+ * A thin layer over the AWS CLI, which passes arguments without a shell and parses the JSON output.  All AWS access
+ * in {@link EC2TestMachine} goes through this class, so it can be tested against a fake CLI or API, or
+ * with a {@link ReplayCommandRunner}.
+*/
+class AWSCli {
+
+  /**
+   * @param {AWSCliOptions} [opts] options to configure the CLI.
+   * @param {CommandRunner} [runner] runs the CLI.  Defaults to a new {@link CommandRunner}.
+  */
+  constructor(opts, runner) {
+    opts = opts || {};
+    this.runner = runner || new CommandRunner();
+    this.cli = opts.cli || "aws";
+    this.region = opts.region || null;
+    this.profile = opts.profile || null;
+    this.endpointUrl = opts.endpointUrl || null;
+  }
+
+  /**
+   * The global arguments given to every command.
+   * @return {Array<String>} arguments selecting output format, region, profile and endpoint.
+   * @private
+  */
+  globalArgs() {
+    let args = [ "--output", "json" ];
+    if(this.region) { args = args.concat([ "--region", this.region ]); }
+    if(this.profile) { args = args.concat([ "--profile", this.profile ]); }
+    if(this.endpointUrl) { args = args.concat([ "--endpoint-url", this.endpointUrl ]); }
+    return args;
+  }
+
+  /**
+   * Runs an AWS CLI command.
+   * @param {String} service the AWS service, such as `ec2`.
+   * @param {String} operation the operation to run, such as `describe-instances`.
+   * @param {Array<String>} [args] additional arguments for the operation.
+   * @return {Promise<Object>} resolves to the parsed JSON output, or `{}` if the command printed nothing.
+  */
+  run(service, operation, args) {
+    return this.runner
+      .run([ this.cli, service, operation ].concat(args || [], this.globalArgs()))
+      .then(res => res.stdout.trim().length > 0 ? JSON.parse(res.stdout) : {});
+  }
+
+}
+
+module.exports = AWSCli;
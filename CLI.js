@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const minimist = require("minimist");
+const yaml = require("js-yaml");
+const CloudMachineTest = require("./CloudMachineTest");
+const IO = require("./IO");
+const RunState = require("./RunState");
+const TestError = require("./TestError");
+
+/**
+ * The machine backends that can be chosen with `--backend` when running a specification file (or reaping) without a
+ * test module.
+ * @type {Object}
+*/
+const BACKENDS = {
+  gce: "./GCETestMachine",
+  docker: "./DockerTestMachine",
+  ssh: "./SSHTestMachine",
+  ec2: "./EC2TestMachine",
+};
+
+/**
+ * Implements the `cloud-machine-test` command, which loads a {@link CloudMachineTest} and runs it with the decisions
+ * normally asked through {@link IO#yesNo} answered by flags or an answers file.
+ * @example <caption>Running a test in CI, keeping the machine for debugging</caption>
+ * cloud-machine-test ./MyMachineTest.js --yes --keep-instance --max-instances 5
+*/
+class CLI {
+
+  /**
+   * @param {Array<String>} argv the command-line arguments, not including `node` and the script name.
+  */
+  constructor(argv) {
+    this.args = minimist(argv, {
+      string: [ "spec", "backend", "answers", "max-instances", "timeout", "matrix", "concurrency",
+        "state", "attach", "destroy-instance", "diagnostics", "promote" ],
+      boolean: [ "yes", "keep-instance", "background-destroy", "skip-tests", "manual", "reap", "dry-run", "reboot",
+        "idempotency", "deprecate-older", "help" ],
+      alias: { y: "yes", h: "help" },
+      default: { backend: "gce", manual: true, state: ".cloud-machine-test.json" },
+    });
+  }
+
+  /**
+   * The help text for the command.
+   * @return {String} usage instructions.
+  */
+  usage() {
+    return `Usage: cloud-machine-test [test-module] [options]
+
+Runs a CloudMachineTest.  The test module should export a CloudMachineTest subclass (or an instance of one).
+
+Options:
+  --spec <file>          Run the checks in a YAML or JSON specification file as the automated tests.
+  --backend <name>       The machine backend to use with --spec if no test module is given: gce, docker, ssh or ec2.
+                         Defaults to gce.
+  -y, --yes              Answer "yes" to every question without prompting, except opening an SSH session.
+  --keep-instance        Don't destroy the machine instance at the end of the run.
+  --background-destroy   Exit once the machine instance has started being destroyed, without waiting for it.
+  --timeout <minutes>    Abort and destroy the machine instance if the run takes longer than this.
+  --skip-tests           Don't run the automated tests.
+  --no-manual            Don't offer to SSH into the machine.
+  --reboot               Reboot the machine after the automated tests, and run them again.
+  --idempotency          Apply the provisioning a second time, and fail if it changes the machine's packages,
+                         enabled services, users or files in /etc.
+  --promote <family>     Once every test has passed, stop the machine and save it as an image in this family.  Asks
+                         first if the machine was used in a manual SSH session.
+  --deprecate-older      With --promote, deprecate the older images in the family.
+  --max-instances <n>    The number of running instances that is considered a runaway.
+  --matrix <file>        A JSON or YAML list of configurations to test at once, each with a 'name' and machine 'opts'
+                         merged over the test's machine options.
+  --concurrency <n>      The number of --matrix configurations to test at once.  Defaults to 4.
+  --state <file>         The file recording created instances.  Defaults to .cloud-machine-test.json.
+  --attach [name]        Test a recorded instance (by default, the most recent) instead of creating one.  Combine
+                         with --keep-instance to rerun tests against the same instance.
+  --destroy-instance [name]
+                         Destroy a recorded instance (by default, the most recent) without testing.
+  --reap                 Destroy runaway instances (past their expiry, or whose run has exited) before testing.  If
+                         no test module or --spec is given, only destroys runaway instances of --backend.
+  --dry-run              With --reap, list the runaway instances without destroying them or running tests.
+  --diagnostics <dir>    Where to save diagnostics from the machine when a run fails.  Defaults to ./diagnostics.
+  --no-diagnostics       Don't save diagnostics.
+  --answers <file>       A JSON or YAML file of answers, keyed by question: run-tests, runaway-count, runaway-age,
+                         ssh and destroy.  Values are "Y", "N", true or false.  Flags take precedence.
+  -h, --help             Show this help.
+`;
+  }
+
+  /**
+   * Reads a JSON or YAML file.
+   * @param {String} file the path to the file.
+   * @return {Object} the parsed contents.
+   * @private
+  */
+  readFile(file) {
+    const text = fs.readFileSync(file, "utf8");
+    return path.extname(file) === ".json" ? JSON.parse(text) : yaml.safeLoad(text);
+  }
+
+  /**
+   * Combines the answers file with the answers given by flags.
+   * @return {Object} answers to questions, keyed by the question's key.
+  */
+  answers() {
+    const answers = this.args.answers ? this.readFile(this.args.answers) || {} : {};
+    if(this.args["keep-instance"]) { answers.destroy = false; }
+    if(this.args["skip-tests"]) { answers["run-tests"] = false; }
+    if(!this.args.manual) { answers.ssh = false; }
+    return answers;
+  }
+
+  /**
+   * Loads the test to run, from the test module or a specification file.
+   * @return {CloudMachineTest} the test to run.
+   * @throws {TestError} if no test was given, or the test module doesn't export a test.
+  */
+  loadTest() {
+    const file = this.args._[0];
+    let test;
+    if(file) {
+      const exported = require(path.resolve(file));
+      test = typeof exported === "function" ? new exported() : exported;
+      if(!test || typeof test.test !== "function") {
+        throw new TestError(`${file} must export a CloudMachineTest subclass or instance.`);
+      }
+    }
+    else if(this.args.spec || this.args.reap || this.destroyOnly()) {
+      const Machine = require(this.backend());
+      test = new CloudMachineTest();
+      test.machine = new Machine();
+    }
+    else {
+      throw new TestError("No test module or --spec given.  Run with --help for usage.");
+    }
+    return test;
+  }
+
+  /**
+   * The machine backend to use when no test module is given: the backend that created the instance given to
+   * `--destroy-instance`, or the backend given by `--backend`.
+   * @return {String} the path of the backend's module.
+   * @throws {TestError} if `--backend` isn't a known backend.
+   * @private
+  */
+  backend() {
+    if(this.destroyOnly()) {
+      const record = new RunState(this.args.state).find(this.args["destroy-instance"]);
+      const key = record ? Object.keys(BACKENDS).filter(name => BACKENDS[name] === `./${record.backend}`)[0] : null;
+      if(key) { return BACKENDS[key]; }
+    }
+    const backend = BACKENDS[this.args.backend];
+    if(!backend) { throw new TestError(`Unknown backend '${this.args.backend}'.`); }
+    return backend;
+  }
+
+  /**
+   * Applies the command-line options to a test.
+   * @param {CloudMachineTest} test the test to configure.
+   * @return {CloudMachineTest} the configured test.
+  */
+  configure(test) {
+    test.io = new IO({ answers: this.answers(), assumeYes: this.args.yes, interactiveKeys: [ "ssh" ] });
+    if(this.args.spec) { test.specFile = this.args.spec; }
+    test.stateFile = this.args.state;
+    if(typeof this.args.attach === "string") { test.attach = this.args.attach; }
+    if(this.args["max-instances"]) {
+      const max = parseInt(this.args["max-instances"], 10);
+      if(isNaN(max)) { throw new TestError("--max-instances must be a number."); }
+      test.maxInstances = max;
+    }
+    if(this.args.timeout) {
+      const minutes = parseFloat(this.args.timeout);
+      if(isNaN(minutes)) { throw new TestError("--timeout must be a number of minutes."); }
+      test.timeout = minutes * 60 * 1000;
+    }
+    if(this.args["background-destroy"]) { test.backgroundDestroy = true; }
+    if(this.args.reap) { test.reap = true; }
+    if(this.args.reboot) { test.testReboot = true; }
+    if(this.args.idempotency) { test.testIdempotency = true; }
+    if(this.args.promote) {
+      test.promote = { family: this.args.promote, deprecateOlder: this.args["deprecate-older"] };
+    }
+    if(this.args.diagnostics === false) { test.diagnosticsDir = null; }
+    else if(this.args.diagnostics) { test.diagnosticsDir = this.args.diagnostics; }
+    if(this.args.matrix) {
+      const matrix = this.readFile(this.args.matrix);
+      if(!Array.isArray(matrix) || matrix.some(config => !config || typeof config.name !== "string")) {
+        throw new TestError(`${this.args.matrix} must contain a list of configurations, each with a 'name'.`);
+      }
+      test.matrix = matrix;
+    }
+    if(this.args.concurrency) {
+      const concurrency = parseInt(this.args.concurrency, 10);
+      if(isNaN(concurrency) || concurrency < 1) { throw new TestError("--concurrency must be a positive number."); }
+      test.concurrency = concurrency;
+    }
+    return test;
+  }
+
+  /**
+   * Checks if the command should only destroy runaway instances, without testing.
+   * @return {Boolean} `true` if `--reap` was given with `--dry-run`, or without a test module or specification.
+  */
+  reapOnly() {
+    return this.args.reap && (this.args["dry-run"] || (!this.args._[0] && !this.args.spec));
+  }
+
+  /**
+   * Checks if the command should only destroy a recorded instance, without testing.
+   * @return {Boolean} `true` if `--destroy-instance` was given.
+  */
+  destroyOnly() {
+    return typeof this.args["destroy-instance"] === "string";
+  }
+
+  /**
+   * Runs the command.
+   * @return {Promise} resolves when the test has finished.  {@link CloudMachineTest#test} exits the process.
+  */
+  run() {
+    if(this.args.help) {
+      console.log(this.usage());
+      return Promise.resolve();
+    }
+    return Promise
+      .resolve()
+      .then(() => this.configure(this.loadTest()))
+      .then(test => {
+        if(this.destroyOnly()) { return test.destroyRecorded(this.args["destroy-instance"]); }
+        return this.reapOnly() ? test.reapInstances(this.args["dry-run"]) : test.test();
+      })
+      .catch(err => {
+        console.error(err.stack ? err.stack : err);
+        process.exit(err.exitCode || 1);
+      });
+  }
+
+}
+
+module.exports = CLI;
@@ -0,0 +1,235 @@
+const AssertionError = require("assert").AssertionError;
+const fs = require("fs");
+const yaml = require("js-yaml");
+const CommandError = require("./CommandError");
+const Waiter = require("./Waiter");
+
+/**
+ * The types expected for common `cloud-config` keys, used by {@link CloudInit.validate}.  Keys that aren't listed
+ * aren't checked.  Add entries to check keys used by other modules.
+ * @type {Object}
+*/
+const SCHEMA = {
+  apt: [ "object" ],
+  bootcmd: [ "array" ],
+  ca_certs: [ "object" ],
+  chpasswd: [ "object" ],
+  disable_root: [ "boolean" ],
+  final_message: [ "string" ],
+  fqdn: [ "string" ],
+  groups: [ "array", "object" ],
+  hostname: [ "string" ],
+  locale: [ "string" ],
+  manage_etc_hosts: [ "boolean", "string" ],
+  mounts: [ "array" ],
+  ntp: [ "object" ],
+  package_reboot_if_required: [ "boolean" ],
+  package_update: [ "boolean" ],
+  package_upgrade: [ "boolean" ],
+  packages: [ "array" ],
+  power_state: [ "object" ],
+  preserve_hostname: [ "boolean" ],
+  runcmd: [ "array" ],
+  snap: [ "object" ],
+  ssh_authorized_keys: [ "array" ],
+  ssh_pwauth: [ "boolean", "string" ],
+  swap: [ "object" ],
+  timezone: [ "string" ],
+  users: [ "array" ],
+  write_files: [ "array" ],
+};
+
+/**
+ * @typedef {Object} CloudInitStatus
+ * @property {String} status the status reported by `cloud-init status`, such as `"done"` or `"error"`.
+ * @property {CommandResult} result the result of `cloud-init status --long`.
+ * @property {Array<Object>} errors `{ module, error }` for each error recorded in `/run/cloud-init/result.json`.
+ *   `module` is `null` if the error doesn't name a module.
+*/
+
+/**
+ * Checks `cloud-config` files locally before a machine is created, and reports how `cloud-init` provisioned the
+ * machine afterwards: whether it finished, and each module that failed as its own test.  Without this, a broken
+ * `cloud-config` only shows up as later tests failing.
+ * @example <caption>Reporting cloud-init failures before running other tests</caption>
+ * new CloudInit(machine, out).report().then(() => runOtherTests());
+*/
+class CloudInit {
+
+  /**
+   * @param {TestMachine} machine the machine provisioned by `cloud-init`.
+   * @param {FormatTestOutput} out the test output to report to.
+   * @param {Number} [timeout] the maximum time to wait for `cloud-init` to finish, in milliseconds.  Defaults to 10
+   *   minutes.
+  */
+  constructor(machine, out, timeout) {
+    this.machine = machine;
+    this.out = out;
+    this.timeout = timeout || 10 * 60 * 1000;
+  }
+
+  /**
+   * The types expected for common `cloud-config` keys, such as `{ packages: ["array"] }`.  Add entries to check keys
+   * used by other modules.
+   * @type {Object}
+  */
+  static get schema() {
+    return SCHEMA;
+  }
+
+  /**
+   * Describes the type of a parsed YAML value.
+   * @param {Any} value the value.
+   * @return {String} `"array"`, `"null"`, or the result of `typeof`.
+   * @private
+  */
+  static type(value) {
+    if(Array.isArray(value)) { return "array"; }
+    if(value === null) { return "null"; }
+    return typeof value;
+  }
+
+  /**
+   * Validates the contents of a user-data file.  Files that aren't a `cloud-config` (such as shell scripts, MIME
+   * multipart or `#include` files) aren't checked.
+   * @param {String} text the contents of the file.
+   * @return {Array<String>} a description of each problem found.  Empty if the file is valid.
+  */
+  static validate(text) {
+    if(/^(#!|#include|#cloud-boothook|Content-Type:)/.test(text)) { return []; }
+    if(!/^#cloud-config\s*\n/.test(text)) { return [ "The first line must be '#cloud-config'." ]; }
+    let config;
+    try {
+      config = yaml.safeLoad(text);
+    }
+    catch (err) {
+      if(!err.mark) { return [ `Invalid YAML: ${err.message}` ]; }
+      return [ `Invalid YAML on line ${err.mark.line + 1}: ${err.reason}.` ];
+    }
+    if(CloudInit.type(config) !== "object") { return [ "The top level must be a mapping of keys to values." ]; }
+    const problems = [];
+    Object.keys(config).forEach(key => {
+      const expected = SCHEMA[key];
+      const actual = CloudInit.type(config[key]);
+      if(expected && expected.indexOf(actual) === -1) {
+        problems.push(`'${key}' must be ${expected.join(" or ")}, not ${actual}.`);
+      }
+    });
+    if(CloudInit.type(config.write_files) === "array") {
+      config.write_files.forEach((file, i) => {
+        if(CloudInit.type(file) !== "object" || typeof file.path !== "string") {
+          problems.push(`'write_files' entry ${i} must be a mapping with a 'path'.`);
+        }
+        else if(typeof file.permissions === "number") {
+          problems.push(`'write_files' permissions for ${file.path} must be quoted, such as '0644'.`);
+        }
+      });
+    }
+    if(CloudInit.type(config.users) === "array") {
+      config.users.forEach((user, i) => {
+        if(typeof user !== "string" && (CloudInit.type(user) !== "object" || typeof user.name !== "string")) {
+          problems.push(`'users' entry ${i} must be 'default' or a mapping with a 'name'.`);
+        }
+      });
+    }
+    return problems;
+  }
+
+  /**
+   * Validates a local user-data file.
+   * @param {String} file the path to the file.
+   * @return {Array<String>} a description of each problem found.  Empty if the file is valid.
+  */
+  static validateFile(file) {
+    return CloudInit.validate(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * Splits the errors recorded in `/run/cloud-init/result.json` by module.
+   * @param {Object} result the parsed contents of `result.json`.
+   * @return {Array<Object>} `{ module, error }` for each error, such as
+   *   `{ module: "scripts-user", error: "RuntimeError('Runparts: 1 failures in 1 attempted commands')" }`.
+  */
+  static parseErrors(result) {
+    const errors = result && result.v1 && Array.isArray(result.v1.errors) ? result.v1.errors : [];
+    return errors.map(error => {
+      const match = /^\('([^']+)',\s*([\s\S]*)\)$/.exec(String(error).trim());
+      return match ? { module: match[1], error: match[2] } : { module: null, error: String(error) };
+    });
+  }
+
+  /**
+   * Waits for `cloud-init` to finish, then reads its status and the errors it recorded.
+   * @return {Promise<CloudInitStatus>} resolves to the status of `cloud-init`.  Rejects if `cloud-init` isn't
+   *   installed, or hasn't finished within `timeout`.
+  */
+  status() {
+    let result;
+    return this.machine
+      .waitFor("cloud-init", attempt => this.machine
+        .ssh("cloud-init status --wait --long", Object.assign({ allowFailure: true }, attempt))
+        .then(res => {
+          if(/^status:/m.test(res.stdout)) { return res; }
+          const err = new CommandError(res);
+          if(res.exitCode === 127) { Waiter.fatal(err); }
+          throw err;
+        }), { timeout: this.timeout, attemptTimeout: this.timeout })
+      .then(res => {
+        result = res;
+        return this.machine.ssh("cat /run/cloud-init/result.json", { allowFailure: true });
+      })
+      .then(json => {
+        let parsed = null;
+        try {
+          parsed = json.success ? JSON.parse(json.stdout) : null;
+        }
+        catch (err) {
+          parsed = null;
+        }
+        return {
+          status: /^status:\s*(.*)$/m.exec(result.stdout)[1].trim(),
+          result,
+          errors: CloudInit.parseErrors(parsed),
+        };
+      });
+  }
+
+  /**
+   * Reports how `cloud-init` provisioned the machine in a `cloud-init` section of `out`: a test that it finished
+   * without errors, and a failed test for each module that reported an error.  Failures are allowed, so later tests
+   * still run.  If the machine's image doesn't have `cloud-init`, the test is skipped instead.
+   * @return {Promise} resolves when the section has been reported.
+  */
+  report() {
+    return this.out.section("cloud-init", () => this
+      .status()
+      .catch(err => {
+        if(!err.result || err.result.exitCode !== 127) { throw err; }
+        return null;
+      })
+      .then(status => {
+        if(!status) {
+          this.out.skip("finishes provisioning", "cloud-init isn't installed on the machine");
+          return;
+        }
+        const fail = (message, result) => {
+          const err = new AssertionError({ message });
+          err.result = result;
+          throw err;
+        };
+        return this.out
+          .it("finishes provisioning", () => {
+            if(!/^(degraded )?done$/.test(status.status)) {
+              fail(`Expected cloud-init to finish, but its status is '${status.status}'`, status.result);
+            }
+          })
+          .catch(err => this.out.allowAssertion(err))
+          .then(() => status.errors.reduce((chain, error) => chain
+            .then(() => this.out.it(`module ${error.module || "(unknown)"}`, () => fail(error.error)))
+            .catch(err => this.out.allowAssertion(err)), Promise.resolve()));
+      }));
+  }
+
+}
+
+module.exports = CloudInit;
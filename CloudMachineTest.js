@@ -1,58 +1,334 @@
+const AssertionError = require("assert").AssertionError;
+const EventEmitter = require("events");
+const merge = require("lodash.merge");
+const path = require("path");
+const CloudInit = require("./CloudInit");
+const ConsoleReporter = require("./ConsoleReporter");
+const Diagnostics = require("./Diagnostics");
+const FormatTestOutput = require("./FormatTestOutput");
 const IO = require("./IO");
+const MachineSnapshot = require("./MachineSnapshot");
+const Reaper = require("./Reaper");
+const RunState = require("./RunState");
+const SpecRunner = require("./SpecRunner");
 const TestMachine = require("./TestMachine");
 const TestError = require("./TestError");
 
+/**
+ * @typedef {Object} MatrixConfiguration
+ * @property {String} name names the configuration in its output and in the summary table.
+ * @property {TestMachine} [machine] the machine to test.  If not given, a machine of the same backend as the test's
+ *   `machine` is created with `opts`.
+ * @property {TestMachineOptions} [opts] options merged over the options of the test's `machine`, such as
+ *   `{ gce: { imageFamily: "ubuntu-1804-lts" } }`.
+*/
+
+/**
+ * @typedef {Object} PhaseResult
+ * @property {String} name the name of the phase, such as `"setup"` or `"cleanup"`.
+ * @property {String} state either `"passed"` or `"failed"`.
+ * @property {Date} started when the phase started.
+ * @property {Number} duration the time the phase took, in milliseconds.
+ * @property {null|Error} error the error that failed the phase.
+*/
+
+/**
+ * @typedef {Object} RunResult
+ * @property {Number} exitCode the code the process would exit with.  `0` if everything passed.
+ * @property {Boolean} success `true` if `exitCode` is `0`.
+ * @property {Array<PhaseResult>} phases the outcome of each phase that ran, in order.
+ * @property {SectionResult} tests the root of the test results recorded by `out`.
+ * @property {TestCounts} stats the number of tests that passed, failed and were skipped.
+ * @property {null|Object} instance `{ id, name }` of the machine that was tested, or `null` if none was created.
+ * @property {null|Array<Object>} matrix the result of each configuration, if `matrix` was set.
+ * @property {Date} started when testing started.
+ * @property {Number} duration the time testing took, in milliseconds.
+ * @property {Array<Error>} errors the errors that failed phases, in order.
+ * @property {null|Object} image `{ name, family }` of the image created by the `promote` step, or `null`.
+*/
+
 /**
  * High-level testing infrastructure for testing cloud machine images.
+ *
+ * By default, {@link CloudMachineTest#test} exits the process when testing finishes.  Set `exit` to `false` to embed
+ * a test in another program or test runner: `test()` then resolves to a {@link RunResult}, and no signal handlers or
+ * global timeout are installed.
+ *
+ * Set `stateFile` to record created machines in a {@link RunState} file.  A kept machine can then be reused by a
+ * later run by setting `attach` to its name (or to `""` for the most recent machine), or destroyed with
+ * {@link CloudMachineTest#destroyRecorded}.
+ *
+ * If a run fails, diagnostics from the machine are saved in `diagnosticsDir` before it is destroyed (see
+ * {@link CloudMachineTest#collectDiagnostics}).  Set `diagnosticsDir` to `null` to skip them.
+ *
+ * Set `testReboot` to run the automated tests again after rebooting the machine, and `testIdempotency` to check that
+ * applying the provisioning a second time changes nothing (see {@link CloudMachineTest#idempotencyTests}).
+ *
+ * Set `promote` to {@link ImageOptions} to save the machine as an image once every test has passed (see
+ * {@link CloudMachineTest#promoteImage}).
+ *
+ * Emits events as testing progresses:
+ *
+ * - `phaseStart` and `phaseEnd` with the {@link PhaseResult} of each phase, and `phaseError` with the phase and the
+ *   error that failed it.
+ * - `instanceCreated`, `instanceAttached` and `instanceDestroyed` with `{ id, name }` of the machine instance and the
+ *   {@link TestMachine}.
+ * - `end` with the {@link RunResult}, before the process exits.
+ *
+ * Reusable add-ons (such as notifiers, metrics or artifact collectors) can be registered with
+ * {@link CloudMachineTest#use} instead of subclassing.
+ * @example <caption>Running a test without exiting</caption>
+ * const tester = new MyMachineTest();
+ * tester.exit = false;
+ * tester
+ *   .test()
+ *   .then(result => console.log(result.success, result.stats));
+ * @example <caption>Logging how long each phase took</caption>
+ * tester.on("phaseEnd", phase => console.log(`${phase.name} ${phase.state} in ${phase.duration}ms`));
 */
-class CloudMachineTest {
+class CloudMachineTest extends EventEmitter {
 
   constructor() {
+    super();
     this.maxInstances = 10;
     this.maxInstanceAge = 4 * 60 * 60 * 1000; // 4 hours
+    this.reap = false;
 
     this.exitCode = 0;
     this.io = new IO();
     this.machine = new TestMachine();
+    this.out = new FormatTestOutput();
+    this.specFile = null;
+    this.timeout = null;
+    this.backgroundDestroy = false;
+    this.matrix = null;
+    this.concurrency = 4;
+    this.exit = true;
+    this.phases = [];
+    this.matrixResults = null;
+    this.stateFile = null;
+    this.attach = null;
+    this.diagnosticsDir = "diagnostics";
+    this.testReboot = false;
+    this.testIdempotency = false;
+    this.snapshotOptions = null;
+    this.promote = null;
+    this.image = null;
+    this.plugins = [];
+    this._manualSession = false;
+  }
+
+  /* ***************      Plugins      *************** */
+
+  /**
+   * Registers a plugin, which hooks into testing without subclassing.  A plugin is either a function, called with
+   * this test so it can add event listeners, or an object.  An object's `install` method is called with this test,
+   * and its methods named after events (such as `phaseEnd` or `instanceCreated`) are called with the event's
+   * arguments.  Unlike event listeners, these methods may return a Promise, which testing waits for.  A plugin that
+   * fails is logged, and doesn't fail the run.
+   * @param {Function|Object} plugin the plugin to register.
+   * @return {CloudMachineTest} this test, for chaining.
+   * @example <caption>A plugin that posts a summary when testing ends</caption>
+   * tester.use({
+   *   name: "notify",
+   *   end: result => postToChat(`Machine tests ${result.success ? "passed" : "failed"}.`),
+   * });
+  */
+  use(plugin) {
+    if(typeof plugin === "function") {
+      plugin(this);
+      return this;
+    }
+    this.plugins.push(plugin);
+    if(typeof plugin.install === "function") { plugin.install(this); }
+    return this;
+  }
+
+  /**
+   * Emits an event, then calls the matching method of each plugin in order.
+   * @param {String} event the name of the event, such as `"phaseStart"`.
+   * @param {...Any} args the arguments given to listeners and plugins.
+   * @return {Promise} resolves once every plugin has handled the event.
+   * @private
+  */
+  notify(event, ...args) {
+    this.emit(event, ...args);
+    return this.plugins
+      .filter(plugin => typeof plugin[event] === "function")
+      .reduce((chain, plugin) => chain
+        .then(() => plugin[event](...args))
+        .catch(err => console.error(`Plugin ${plugin.name || "(unnamed)"} failed to handle '${event}':`, err)),
+      Promise.resolve());
   }
 
   /* ***************  Test Organization *************** */
 
   /**
    * The highest-level organization of testing.
-   * @return {Promise} resolves when the test has completed.
+   * @return {Promise<RunResult>} resolves when the test has completed.  Unless `exit` is `false`, the process exits
+   *   instead of resolving.
   */
   test() {
+    const started = new Date();
+    const errors = [];
+    const failed = err => {
+      if(this.exitCode === 0) { this.exitCode = err.exitCode || 1; }
+      errors.push(err);
+      console.log(err);
+      return true;
+    };
+    this.phases = [];
+    if(this.exit) { this.installHandlers(); }
     return this
-      .prepareEnvironment()
-      .then(() => this.setup())
-      .then(() => this.runTests())
-      .then(() => this.manualSteps())
-      .catch(err => {
-        if(this.exitCode === 0) { this.exitCode = 1; }
-        console.log(err);
-        return true;
+      .runPhase("prepareEnvironment", () => this.prepareEnvironment())
+      .then(() => {
+        if(this.matrix) { return this.runPhase("matrix", () => this.runMatrix()); }
+        return this
+          .runPhase("setup", () => this.setup())
+          .then(() => this.runPhase("runTests", () => this.runTests()))
+          .then(() => this.runPhase("manualSteps", () => this.manualSteps()))
+          .then(() => this.promote ? this.runPhase("promote", () => this.promoteImage()) : null);
       })
-      .then(() => this.cleanup())
-      .catch(err => {
-        if(this.exitCode === 0) { this.exitCode = 1; }
-        console.log(err);
-        return true;
+      .catch(failed)
+      .then(() => {
+        if(this.exitCode === 0 || this.matrix) { return; }
+        return this.runPhase("diagnostics", () => this.collectDiagnostics(errors));
       })
+      .catch(failed)
+      .then(() => this.runPhase("cleanup", () => this.cleanup()))
+      .catch(failed)
       .then(() => {
+        const result = this.result(started, errors);
+        return this.notify("end", result).then(() => result);
+      })
+      .then(result => {
+        if(!this.exit) { return result; }
+        this.removeHandlers();
         console.log(`Exiting with code ${this.exitCode}`);
         process.exit(this.exitCode);
       });
   }
 
+  /**
+   * Runs a phase of testing, recording its outcome and timing in `phases`, and emitting `phaseStart`, `phaseError`
+   * and `phaseEnd`.
+   * @param {String} name the name of the phase.
+   * @param {Function} fn runs the phase, returning a Promise.
+   * @return {Promise} resolves or rejects with the outcome of `fn`.
+  */
+  runPhase(name, fn) {
+    const phase = { name, state: "passed", started: new Date(), duration: 0, error: null };
+    this.phases.push(phase);
+    return this
+      .notify("phaseStart", phase)
+      .then(() => fn())
+      .then(res => {
+        phase.duration = new Date() - phase.started;
+        return this.notify("phaseEnd", phase).then(() => res);
+      }, err => {
+        phase.duration = new Date() - phase.started;
+        phase.state = "failed";
+        phase.error = err;
+        return this
+          .notify("phaseError", phase, err)
+          .then(() => this.notify("phaseEnd", phase))
+          .then(() => { throw err; });
+      });
+  }
+
+  /**
+   * Summarizes a finished run.
+   * @param {Date} started when testing started.
+   * @param {Array<Error>} errors the errors that failed phases.
+   * @return {RunResult} the outcome of testing.
+  */
+  result(started, errors) {
+    return {
+      exitCode: this.exitCode,
+      success: this.exitCode === 0,
+      phases: this.phases,
+      tests: this.out.root,
+      stats: this.out.stats(),
+      instance: this.machine.describeInstance(),
+      matrix: this.matrixResults || null,
+      started,
+      duration: new Date() - started,
+      errors,
+      image: this.image,
+    };
+  }
+
+  /**
+   * Ensures the machine instance is destroyed if the run is interrupted.  Handles `SIGINT` and `SIGTERM`, unhandled
+   * rejections and uncaught exceptions, and starts the global `timeout` if one is set.  Each calls {@link #abort}.
+   * `SIGINT` is ignored during a manual SSH session, where Ctrl-C is meant for the remote shell.
+   * @return {void}
+  */
+  installHandlers() {
+    const signal = (name, exitCode) => () => {
+      if(this._interactive && name === "SIGINT") { return; }
+      if(this._aborting) {
+        console.error(`Received ${name} again.  Exiting without waiting for the machine instance to be destroyed.`);
+        process.exit(exitCode);
+      }
+      this.abort(new TestError(`Received ${name}.`, exitCode));
+    };
+    this._handlers = {
+      SIGINT: signal("SIGINT", TestError.codes.interrupted),
+      SIGTERM: signal("SIGTERM", TestError.codes.terminated),
+      unhandledRejection: err => this.abort(err),
+      uncaughtException: err => this.abort(err),
+    };
+    Object.keys(this._handlers).forEach(event => process.on(event, this._handlers[event]));
+    if(this.timeout) {
+      this._timer = setTimeout(() => {
+        this.abort(new TestError(`Testing didn't finish within ${this.timeout}ms.`, TestError.codes.timeout));
+      }, this.timeout);
+    }
+  }
+
+  /**
+   * Removes the handlers added by {@link #installHandlers}, and stops the global `timeout`.
+   * @return {void}
+  */
+  removeHandlers() {
+    Object.keys(this._handlers || {}).forEach(event => process.removeListener(event, this._handlers[event]));
+    this._handlers = null;
+    if(this._timer) { clearTimeout(this._timer); }
+    this._timer = null;
+  }
+
+  /**
+   * Stops testing after a signal, crash or timeout.  Starts destroying the machine instance in the background (unless
+   * it is already being destroyed), then exits.  Calling `abort` more than once has no further effect.
+   * @param {Error} err the reason testing was stopped.  Its `exitCode` is used if given.
+   * @return {Promise} resolves just before the process exits.
+  */
+  abort(err) {
+    if(this._aborting) { return this._aborting; }
+    console.error(err);
+    this.exitCode = err && err.exitCode ? err.exitCode : 1;
+    this.io.status("Aborting.  Destroying the machine instance in the background.");
+    const runs = [ this ].concat(this._runs || []);
+    this._aborting = Promise
+      .all(runs.map(run => run.destroyMachine({ background: true }).catch(err => console.error(err))))
+      .then(() => {
+        this.removeHandlers();
+        console.log(`Exiting with code ${this.exitCode}`);
+        process.exit(this.exitCode);
+      });
+    return this._aborting;
+  }
+
   /**
    * Ensures that the test is able to run: ensures that credentials exist and are valid, that test servers have been
-   * cleaned up, and cleans up files from previous runs.
+   * cleaned up, and cleans up files from previous runs.  If `reap` is set, runaway machines are destroyed first.
    * @return {Promise} resolves when the environment has been prepared.
   */
   prepareEnvironment() {
     return this
       .ensureCredentials()
+      .then(() => this.reap ? this.reapInstances() : null)
       .then(() => this.preventRunawayServers());
   }
 
@@ -65,27 +341,137 @@ class CloudMachineTest {
   }
 
   /**
-   * Executes automatic tests in {@link Test#automatedTests}, if requested by the user.
+   * Executes automatic tests in {@link Test#automatedTests} (after {@link CloudMachineTest#cloudInitTests}, and
+   * followed by the reboot and idempotency tests if enabled), if requested by the user, then tells the reporters of
+   * `out` that testing has finished and sets `exitCode` from the results.
    * @return {Promise} resolves when automated testing is finished.
   */
   runTests() {
     return this.io
-      .yesNo("Run automated tests?", "Y", "Y")
+      .yesNo("Run automated tests?", "Y", "Y", "run-tests")
       .then(answer => {
         if(answer) {
-          return this.automatedTests();
+          return this
+            .cloudInitTests()
+            .then(() => this.automatedTests())
+            .then(() => this.rebootTests())
+            .then(() => this.idempotencyTests())
+            .then(() => this.out.end(), err => this.out.end().then(() => { throw err; }))
+            .then(() => this.checkResults());
         }
       });
   }
 
   /**
-   * The automated tests to run on the created machine.  Override with your own tests.
+   * Sets `exitCode` to `1` if any test recorded by `out` failed, even if the failure was allowed with
+   * {@link FormatTestOutput#allowAssertion}.
+   * @return {void}
+  */
+  checkResults() {
+    if(this.out.hasFailures() && this.exitCode === 0) {
+      this.exitCode = 1;
+    }
+  }
+
+  /**
+   * Reports how `cloud-init` provisioned the machine, if it was given a `cloud-config` (see
+   * {@link TestMachine#cloudConfig}): a test that `cloud-init` finished, and a failed test for each module that
+   * reported an error.  Runs before {@link CloudMachineTest#automatedTests}, so a broken `cloud-config` is reported
+   * directly instead of through the tests that depend on it.  Images without `cloud-init` are reported as a skipped
+   * test.
+   * @return {Promise} resolves when the results have been reported.
+  */
+  cloudInitTests() {
+    if(!this.machine.cloudConfig()) { return Promise.resolve(); }
+    return new CloudInit(this.machine, this.out).report();
+  }
+
+  /**
+   * The automated tests to run on the created machine.  Override with your own tests, or set `specFile` to run the
+   * checks in a YAML or JSON specification (see {@link SpecRunner}).
    * @return {Promise} resolves after all tests have been run.
   */
   automatedTests() {
+    if(this.specFile) {
+      return new SpecRunner(this.machine, this.out).runFile(this.specFile);
+    }
     return Promise.resolve();
   }
 
+  /**
+   * If `testReboot` is set, reboots the machine and runs {@link CloudMachineTest#automatedTests} again in an
+   * `after reboot` section, to catch provisioning that doesn't survive a reboot.
+   * @return {Promise} resolves when the tests have run.
+  */
+  rebootTests() {
+    if(!this.testReboot) { return Promise.resolve(); }
+    return this.out.section("after reboot", () => this.out
+      .it("reboots", () => this.machine.reboot(this.machine.ensureStartedTimeout))
+      .then(() => this.automatedTests()));
+  }
+
+  /**
+   * If `testIdempotency` is set, applies the machine's provisioning again with {@link TestMachine#reprovision}, and
+   * checks that it changed nothing: the installed packages, enabled services, users and files (see
+   * {@link MachineSnapshot}, configured by `snapshotOptions`) are compared before and after.  Each part that changed
+   * is a failed test, listing what changed.
+   * @return {Promise} resolves when the checks have run.
+  */
+  idempotencyTests() {
+    if(!this.testIdempotency) { return Promise.resolve(); }
+    let before;
+    let changes;
+    return this.out.section("idempotency", () => MachineSnapshot
+      .capture(this.machine, this.snapshotOptions)
+      .then(snapshot => before = snapshot)
+      .then(() => this.out.it("re-applies provisioning", () => this.machine.reprovision()))
+      .then(() => MachineSnapshot.capture(this.machine, this.snapshotOptions))
+      .then(after => changes = MachineSnapshot.diff(before, after))
+      .then(() => Object.keys(before.parts).reduce((chain, part) => chain
+        .then(() => this.out.it(`doesn't change ${part}`, () => {
+          if(!changes[part]) { return; }
+          const message = `Re-applying provisioning changed ${part}:\n${MachineSnapshot.formatChange(changes[part])}`;
+          throw new AssertionError({ message });
+        }))
+        .catch(err => this.out.allowAssertion(err)), Promise.resolve())));
+  }
+
+  /**
+   * Saves the tested machine as an image with {@link TestMachine#createImage}, using the options in `promote`, so the
+   * image that passed the tests is the one that gets used.  Skipped unless at least one test ran and every test
+   * passed.  The image is labelled with the number of tests that passed and were skipped.  Runs after
+   * {@link CloudMachineTest#manualSteps}, just before cleanup, as creating the image may stop the machine.  If the
+   * user opened a manual SSH session, the machine may no longer be the one that was tested, so the image is only
+   * created if the user confirms (the `promote-after-ssh` question, which defaults to "no").
+   * @return {Promise<null|Object>} resolves to `{ name, family }` of the new image, also stored in `image`, or to
+   *   `null` if it wasn't created.
+  */
+  promoteImage() {
+    const stats = this.out.stats();
+    if(this.exitCode !== 0 || this.out.hasFailures() || stats.passed === 0) {
+      this.io.status("Not creating an image, as the tests didn't all pass.");
+      return Promise.resolve(null);
+    }
+    const labels = merge({ "cmt-passed": stats.passed, "cmt-skipped": stats.skipped }, this.promote.labels);
+    const question = "The machine was used in a manual SSH session, and may have changed since it was tested.  " +
+      "Create the image anyway?";
+    return Promise
+      .resolve(this._manualSession ? this.io.yesNo(question, "N", "N", "promote-after-ssh") : true)
+      .then(answer => {
+        if(!answer) {
+          this.io.status("Not creating an image, as the machine was used in a manual SSH session.");
+          return null;
+        }
+        this.io.status(`Creating an image in family ${this.promote.family}.`);
+        return this.machine.createImage(merge({}, this.promote, { labels }));
+      })
+      .then(image => {
+        if(!image) { return null; }
+        this.io.status(`Created image ${image.name}.`);
+        return this.image = image;
+      });
+  }
+
   /**
    * Adds manual actions that can be taken while running tests.
    * @return {Promise} resolves when actions have been completed.
@@ -95,22 +481,230 @@ class CloudMachineTest {
   }
 
   /**
-   * Cleans up artifacts from running the test.
+   * Saves diagnostics from the machine into a directory in `diagnosticsDir` named after the machine instance, so the
+   * evidence of a failure survives the machine being destroyed.  Each backend chooses what is collected (see
+   * {@link TestMachine#diagnostics}), and each failed phase and test is described in `failures.log`.  Skipped if
+   * `diagnosticsDir` is `null`, or if no instance was created and no test failed.
+   * @param {Array<Error>} errors the errors that failed phases of the run.
+   * @return {Promise} resolves when the diagnostics have been saved.
+  */
+  collectDiagnostics(errors) {
+    const instance = this.machine.describeInstance();
+    if(!this.diagnosticsDir || (!instance && !this.out.hasFailures())) { return Promise.resolve(); }
+    const dir = path.join(this.diagnosticsDir, instance ? instance.name : this.machine.runId);
+    this.io.status(`Saving diagnostics in ${dir}.`);
+    return new Diagnostics(this.machine, dir).collect(errors, this.out.root);
+  }
+
+  /**
+   * Cleans up artifacts from running the test: closes port forwards, and destroys the machine instance.  Machines
+   * created for a `matrix` are destroyed as each configuration finishes, so there is nothing to destroy afterwards.
    * @return {Promise} resolves when artifacts have been cleaned up.
   */
   cleanup() {
+    this.machine.closeForwards();
+    if(this.matrix) { return Promise.resolve(); }
     return this.destroyInstance();
   }
 
+  /* ***************   Matrix Testing  **************** */
+
+  /**
+   * Runs {@link CloudMachineTest#automatedTests} against a machine for each configuration in `matrix`, running up to
+   * `concurrency` configurations at once.  Each configuration's test output is buffered and printed when it finishes,
+   * followed by a combined table of results.  Other reporters of `out`, such as a {@link JUnitReporter}, write a
+   * separate report for each configuration.  Sets `exitCode` from the first configuration that failed, and stores the
+   * results in `matrixResults`.
+   * @return {Promise<Array<Object>>} resolves to the result of each configuration, in the order of `matrix`.  Each
+   *   includes `{ name, exitCode, stats, tests, instance, error, duration }`.
+  */
+  runMatrix() {
+    const configs = this.matrix;
+    const results = [];
+    this._runs = [];
+    let destroy;
+    let next = 0;
+    const worker = () => {
+      if(next >= configs.length) { return Promise.resolve(); }
+      const index = next++;
+      return this
+        .runConfiguration(configs[index], destroy)
+        .then(result => results[index] = result)
+        .then(worker);
+    };
+    return Promise
+      .resolve()
+      .then(() => configs.forEach(config => this.matrixReporters(config)))
+      .then(() => this.io.yesNo("Destroy each machine instance when its tests finish?", "Y", "Y", "destroy"))
+      .then(answer => destroy = answer)
+      .then(() => this.matrixConcurrency())
+      .then(limit => {
+        this.io.status(`Testing ${configs.length} configurations, ${limit} at a time.`);
+        const workers = [];
+        for(let i = 0; i < limit; ++i) { workers.push(worker()); }
+        return Promise.all(workers);
+      })
+      .then(() => {
+        console.log(this.matrixTable(results));
+        const failed = results.filter(result => result.exitCode !== 0)[0];
+        if(failed && this.exitCode === 0) { this.exitCode = failed.exitCode; }
+        this.matrixResults = results;
+        return results;
+      });
+  }
+
+  /**
+   * The number of configurations to run at once: at most `concurrency`, and never enough to take the number of
+   * running machines over `maxInstances`.
+   * @return {Promise<Number>} resolves to the number of configurations to run at once (at least `1`).
+  */
+  matrixConcurrency() {
+    return this.machine
+      .getInstances()
+      .then(instances => {
+        const available = this.maxInstances - instances.length;
+        return Math.max(1, Math.min(this.concurrency, available, this.matrix.length));
+      });
+  }
+
+  /**
+   * Runs one configuration of the matrix: creates its machine, runs the automated tests against it, and destroys it.
+   * The configuration runs in a copy of this test (made with `Object.create`), with its own `machine`, `out` and
+   * `exitCode`, so `automatedTests` can use `this.machine` and `this.out` as usual.
+   * @param {MatrixConfiguration} config the configuration to run.
+   * @param {Boolean} destroy if `true`, destroys the machine once testing has finished.
+   * @return {Promise<Object>} resolves to `{ name, exitCode, stats, tests, instance, error, duration }`.
+   * @private
+  */
+  runConfiguration(config, destroy) {
+    const lines = [];
+    const run = Object.create(this);
+    run.config = config;
+    run.machine = config.machine || this.matrixMachine(config.opts);
+    run.out = this.matrixOutput(config, lines);
+    run.exitCode = 0;
+    run.attach = null;
+    run._destroying = null;
+    this._runs.push(run);
+    const started = new Date();
+    let error = null;
+    const fail = err => {
+      error = error || err;
+      if(run.exitCode === 0) { run.exitCode = err.exitCode || 1; }
+      lines.push(String(err.stack || err));
+    };
+    this.io.status(`Starting configuration '${config.name}'.`);
+    return run
+      .setup()
+      .then(() => run.cloudInitTests())
+      .then(() => run.automatedTests())
+      .then(() => run.rebootTests())
+      .then(() => run.idempotencyTests())
+      .then(() => run.out.end(), err => run.out.end().then(() => { throw err; }))
+      .then(() => run.checkResults())
+      .catch(fail)
+      .then(() => run.exitCode === 0 ? null : run.collectDiagnostics(error ? [ error ] : []))
+      .catch(fail)
+      .then(() => destroy ? run.destroyMachine({ background: this.backgroundDestroy }) : null)
+      .catch(fail)
+      .then(() => {
+        console.log(`\n=== ${config.name} ===\n${lines.join("\n")}`);
+        return {
+          name: config.name,
+          exitCode: run.exitCode,
+          stats: run.out.stats(),
+          tests: run.out.root,
+          instance: run.machine.describeInstance(),
+          error,
+          duration: new Date() - started,
+        };
+      });
+  }
+
+  /**
+   * Creates the machine for a matrix configuration that doesn't give one.
+   * @param {TestMachineOptions} [opts] options merged over the options of this test's `machine`.
+   * @return {TestMachine} a new machine of the same class as `machine`.
+  */
+  matrixMachine(opts) {
+    const Machine = this.machine.constructor;
+    return new Machine(merge({}, this.machine.opts, opts));
+  }
+
+  /**
+   * Creates the test output for a matrix configuration.  By default, the output of a {@link ConsoleReporter} is
+   * buffered, so configurations running at the same time don't mix their output, and every other reporter of `out`
+   * reports the configuration separately (see {@link Reporter#forConfiguration}).
+   * @param {MatrixConfiguration} config the configuration being run.
+   * @param {Array<String>} lines collects the lines to print when the configuration finishes.
+   * @return {FormatTestOutput} the test output for the configuration.
+  */
+  matrixOutput(config, lines) {
+    const log = (...args) => lines.push(args.join(" "));
+    return new FormatTestOutput({
+      reporters: [ new ConsoleReporter({ log, warn: log }) ].concat(this.matrixReporters(config)),
+    });
+  }
+
+  /**
+   * Creates a reporter for a matrix configuration from each reporter of `out`, other than {@link ConsoleReporter}s.
+   * @param {MatrixConfiguration} config the configuration being run.
+   * @return {Array<Reporter>} the reporters for the configuration.
+   * @throws {TestError} if a reporter can't report configurations separately, such as a {@link JUnitReporter} writing
+   *   to standard output.
+   * @private
+  */
+  matrixReporters(config) {
+    return this.out.reporters
+      .filter(reporter => !(reporter instanceof ConsoleReporter))
+      .map(reporter => {
+        const forked = reporter.forConfiguration(config.name);
+        if(!forked) {
+          throw new TestError(`${reporter.constructor.name} can't report matrix configurations separately.  ` +
+            "Write it to a file instead.", TestError.codes.configuration);
+        }
+        return forked;
+      });
+  }
+
+  /**
+   * Formats the results of a matrix run as a table.
+   * @param {Array<Object>} results the results of each configuration, from {@link CloudMachineTest#runMatrix}.
+   * @return {String} the table, with a row per configuration.
+  */
+  matrixTable(results) {
+    const rows = [ [ "Configuration", "Result", "Passed", "Failed", "Skipped", "Time" ] ].concat(results
+      .map(result => [
+        result.name,
+        result.exitCode === 0 ? "pass" : "FAIL",
+        String(result.stats.passed),
+        String(result.stats.failed + result.stats.errors),
+        String(result.stats.skipped),
+        `${(result.duration / 1000).toFixed(1)}s`,
+      ]));
+    const widths = rows[0].map((heading, column) => Math.max.apply(null, rows.map(row => row[column].length)));
+    return rows
+      .map(row => row.map((cell, column) => cell + " ".repeat(widths[column] - cell.length)).join("  ").trim())
+      .join("\n");
+  }
+
   /* ***************   Step Execution  **************** */
 
   /**
-   * Ensure we have credentials and permissions to execute all commands needed for testing.
-   * @todo Implement method.
-   * @return {Promise} resolves after credentials and permissions have been checked.
+   * Ensure we have credentials and permissions to execute all commands needed for testing, by running the machine's
+   * {@link TestMachine#preflight} checks.  Every failed check is printed before testing stops.
+   * @return {Promise} resolves after credentials and permissions have been checked.  Rejects with a {@link TestError}
+   *   if any check failed, using the exit code of the first failure.
   */
   ensureCredentials() {
-    return Promise.resolve();
+    this.io.status("Checking credentials and configuration.");
+    return this.machine
+      .preflight()
+      .then(failures => {
+        if(failures.length === 0) { return; }
+        failures.forEach(failure => console.error(`  \u2717 ${failure.message} (exit code ${failure.exitCode})`));
+        throw new TestError(`${failures.length} preflight checks failed.`, failures[0].exitCode);
+      });
   }
 
   /**
@@ -128,7 +722,7 @@ class CloudMachineTest {
         this.io.status(`${current} machine instances already running.`);
         if(current > this.maxInstances) {
           return this.io
-            .yesNo("Might have runaway servers.  Create another?", "Y", "N")
+            .yesNo("Might have runaway servers.  Create another?", "Y", "N", "runaway-count")
             .then(answer => {
               if(!answer) { throw new TestError("Runaway servers detected."); }
             });
@@ -147,7 +741,7 @@ class CloudMachineTest {
         this.io.status(`${old.length} machine instances have been running for longer than ${desc}`);
         if(old.length > 0) {
           return this.io
-            .yesNo("Might have runaway servers.  Create another?", "Y", "N")
+            .yesNo("Might have runaway servers.  Create another?", "Y", "N", "runaway-age")
             .then(answer => {
               if(!answer) { throw new TestError("Runaway servers detected."); }
             });
@@ -156,46 +750,177 @@ class CloudMachineTest {
   }
 
   /**
-   * Create a new machine instance.
+   * Destroys machine instances that are past their expiry, or whose owning run has exited (unless they are recorded in
+   * `stateFile`, if set).  See {@link Reaper}.
+   * @param {Boolean} [dryRun] if `true`, only lists the instances that would be destroyed.
+   * @return {Promise<Array<Object>>} resolves to `{ instance, reason }` for each runaway instance found.
+  */
+  reapInstances(dryRun) {
+    this.io.status(dryRun ? "Listing runaway machine instances." : "Destroying runaway machine instances.");
+    const kept = this.stateFile ? this.runState().list().map(record => record.name) : [];
+    return new Reaper(this.machine, { dryRun, maxAge: this.maxInstanceAge, kept }).reap();
+  }
+
+  /**
+   * Create a new machine instance, and record it in `stateFile` if set.  If `attach` is set, attaches to a recorded
+   * instance instead.
    * @return {Promise} resolves when the new instance has been created.
   */
   createInstance() {
+    if(typeof this.attach === "string") { return this.attachInstance(this.attach); }
     this.io.status("Creating a new machine instance.");
-    return this.machine.createInstance();
+    const created = () => {
+      this.recordInstance();
+      const instance = this.machine.describeInstance();
+      return instance ? this.notify("instanceCreated", instance, this.machine) : Promise.resolve();
+    };
+    return this.machine
+      .createInstance()
+      .then(created, err => created().then(() => { throw err; }));
+  }
+
+  /**
+   * The file recording created machine instances.
+   * @return {RunState} the state file given by `stateFile`, or the default state file.
+  */
+  runState() {
+    return new RunState(this.stateFile || undefined);
+  }
+
+  /**
+   * Records the created machine instance in `stateFile`, if set.
+   * @return {void}
+  */
+  recordInstance() {
+    if(this.stateFile && this.machine.describeInstance()) {
+      this.runState().record(this.machine);
+    }
+  }
+
+  /**
+   * Finds a recorded machine instance created by the same backend as `machine`.
+   * @param {String} [name] the name of the instance.  If not given, finds the most recently recorded instance.
+   * @return {InstanceRecord} the recorded instance.
+   * @throws {TestError} if the instance isn't recorded, or was created by a different backend.
+  */
+  findRecord(name) {
+    const state = this.runState();
+    const record = state.find(name);
+    const codes = TestError.codes;
+    if(!record) {
+      throw new TestError(`No machine instance ${name ? `named '${name}' ` : ""}is recorded in ${state.file}.`,
+        codes.configuration);
+    }
+    const backend = this.machine.constructor.name;
+    if(record.backend !== backend) {
+      throw new TestError(`Machine instance '${record.name}' was created by ${record.backend}, not ${backend}.`,
+        codes.configuration);
+    }
+    return record;
   }
 
   /**
-   * Offer the user the option of SSHing into the machine instance to manually test or debug.
+   * Attaches to a recorded machine instance instead of creating one, and ensures it can be reached.
+   * @param {String} [name] the name of the instance.  If not given, attaches to the most recently recorded instance.
+   * @return {Promise} resolves when the instance is ready.
+  */
+  attachInstance(name) {
+    return Promise
+      .resolve()
+      .then(() => {
+        const record = this.findRecord(name);
+        this.io.status(`Attaching to machine instance ${record.name}.`);
+        this.machine.restore(record.state);
+        return this.machine.ensureStarted(this.machine.ensureStartedTimeout || this.machine.opts.sshTimeout);
+      })
+      .then(() => this.notify("instanceAttached", this.machine.describeInstance(), this.machine));
+  }
+
+  /**
+   * Destroys a recorded machine instance, such as one kept by an earlier run, and removes it from the state file.
+   * @param {String} [name] the name of the instance.  If not given, destroys the most recently recorded instance.
+   * @return {Promise} resolves when the instance has been destroyed.
+  */
+  destroyRecorded(name) {
+    return Promise
+      .resolve()
+      .then(() => {
+        const record = this.findRecord(name);
+        this.io.status(`Destroying machine instance ${record.name}.`);
+        this.machine.restore(record.state);
+        return this.destroyMachine().then(() => this.stateFile ? null : this.runState().remove(record.name));
+      });
+  }
+
+  /**
+   * Offer the user the option of SSHing into the machine instance to manually test or debug.  The session is attached
+   * to the current terminal.
    * @return {Promise} resolves when the user is finished with any manual SSH tasks.
   */
   manualSSH() {
     return this.io
-      .yesNo("SSH into running machine?", "N", "N")
+      .yesNo("SSH into running machine?", "N", "N", "ssh")
       .then(answer => {
         if(answer) {
+          this._interactive = true;
+          this._manualSession = true;
           return this.machine
             .ssh()
+            .catch(err => {
+              if(typeof err.code !== "number") { throw err; }
+              this.io.status(`SSH session exited with code ${err.code}.`);
+            })
+            .then(() => this._interactive = false, err => {
+              this._interactive = false;
+              throw err;
+            })
             .then(() => this.manualSSH());
         }
       });
   }
 
   /**
-   * Stop the machine instance.
+   * Stop the machine instance.  If `backgroundDestroy` is set, resolves once destruction has started, so the process
+   * can exit while it finishes.
    * @return {Promise} resolves when the instance has been destroyed.
-   * @todo Allow running destruction in background.
   */
   destroyInstance() {
     return this.io
-      .yesNo("Destroy the machine instance?", "Y", "Y")
+      .yesNo("Destroy the machine instance?", "Y", "Y", "destroy")
       .then(answer => {
         if(answer) {
           this.io.status("Destroying the machine instance.");
-          return this.machine.destroyInstance();
+          return this.destroyMachine({ background: this.backgroundDestroy });
+        }
+        const instance = this.machine.describeInstance();
+        if(instance && this.stateFile) {
+          this.io.status(`Keeping machine instance ${instance.name}, recorded in ${this.stateFile}.`);
         }
       });
   }
 
+  /**
+   * Closes any port forwards and destroys the machine instance, at most once per run, so cleanup and {@link #abort}
+   * don't both destroy it.  The instance is then removed from `stateFile`, if set.
+   * @param {Object} [opts] options given to {@link TestMachine#destroyInstance}.
+   * @return {Promise} resolves when the instance has been destroyed.
+   * @private
+  */
+  destroyMachine(opts) {
+    if(!this._destroying) {
+      this.machine.closeForwards();
+      const instance = this.machine.describeInstance();
+      this._destroying = this.machine
+        .destroyInstance(opts)
+        .then(() => {
+          if(!instance) { return; }
+          if(this.stateFile) { this.runState().remove(instance.name); }
+          return this.notify("instanceDestroyed", instance, this.machine);
+        });
+    }
+    return this._destroying;
+  }
+
 }
 
 module.exports = CloudMachineTest;
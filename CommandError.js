@@ -0,0 +1,20 @@
+const TestError = require("./TestError");
+
+/**
+ * Thrown when a command run on a {@link TestMachine} exits with a non-zero exit code.
+*/
+class CommandError extends TestError {
+
+  /**
+   * @param {CommandResult} result the result of the command that failed.
+   * @param {Number} [exitCode] the code to exit the process with.  Defaults to `1`.
+  */
+  constructor(result, exitCode) {
+    super(`Command \`${result.command}\` exited with code ${result.exitCode}`, exitCode);
+    this.result = result;
+    this.name = "CommandError";
+  }
+
+}
+
+module.exports = CommandError;
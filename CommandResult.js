@@ -0,0 +1,46 @@
+/**
+ * The outcome of running a command on a {@link TestMachine}.
+*/
+class CommandResult {
+
+  /**
+   * @param {Object} result details of the command that was run.
+   * @param {String} result.command the command that was run.
+   * @param {Number} result.exitCode the exit code of the command.
+   * @param {String} [result.stdout] the output of the command.  Leading and trailing whitespace is removed.
+   * @param {String} [result.stderr] the error output of the command.  Leading and trailing whitespace is removed.
+   * @param {Number} [result.duration] the time the command took to run, in milliseconds.
+  */
+  constructor(result) {
+    this.command = result.command;
+    this.exitCode = result.exitCode;
+    this.stdout = (result.stdout || "").toString().trim();
+    this.stderr = (result.stderr || "").toString().trim();
+    this.duration = result.duration || 0;
+  }
+
+  /**
+   * Checks if the command exited successfully.
+   * @return {Boolean} `true` if the exit code was `0`.
+  */
+  get success() {
+    return this.exitCode === 0;
+  }
+
+  /**
+   * Formats the command and its output for test failure messages.
+   * @return {String} a multi-line description of the command and its output.
+  */
+  format() {
+    const lines = [
+      `$ ${this.command}`,
+      `Exited with code ${this.exitCode} after ${this.duration}ms`,
+    ];
+    if(this.stdout.length > 0) { lines.push("stdout:", `  ${this.stdout.replace(/\n/g, "\n  ")}`); }
+    if(this.stderr.length > 0) { lines.push("stderr:", `  ${this.stderr.replace(/\n/g, "\n  ")}`); }
+    return lines.join("\n");
+  }
+
+}
+
+module.exports = CommandResult;
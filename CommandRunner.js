@@ -0,0 +1,151 @@
+const childProcess = require("child_process");
+const spawn = require("child-process-promise").spawn;
+
+/**
+ * Runs local commands for {@link TestMachine} backends.  Commands are given as `argv` arrays and run without a shell,
+ * so arguments never need to be escaped locally.  Swap in a {@link ReplayCommandRunner} to test backends without
+ * their CLIs installed.
+*/
+class CommandRunner {
+
+  /**
+   * @param {Object} [opts] options to configure the runner.
+   * @param {Boolean} [opts.record] if `true`, every command and its result is stored in `history`, which can be given
+   *   to a {@link ReplayCommandRunner}.  Defaults to `false`.
+  */
+  constructor(opts) {
+    opts = opts || {};
+    this.record = !!opts.record;
+    this.history = [];
+  }
+
+  /**
+   * Escapes a single argument so a POSIX shell reads it as one literal word.  Use when inserting values into a command
+   * that will be run by a remote shell.
+   * @param {String} arg the argument to escape.
+   * @return {String} the escaped argument.
+   * @example <caption>Quoting a value in a remote command</caption>
+   * machine.ssh(`cat ${CommandRunner.quote(path)}`);
+  */
+  static quote(arg) {
+    arg = String(arg);
+    if(/^[A-Za-z0-9_\-.,:/@%+=]+$/.test(arg)) { return arg; }
+    return `'${arg.replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Escapes and joins a list of arguments into a single shell command.
+   * @param {Array<String>} argv the arguments to join.
+   * @return {String} a command that a POSIX shell will split back into `argv`.
+  */
+  static join(argv) {
+    return argv.map(arg => CommandRunner.quote(arg)).join(" ");
+  }
+
+  /**
+   * Runs a command and captures its output.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @param {Object} [opts] options to give to `spawn`, such as `env` or `cwd`.
+   * @param {Number} [opts.timeout] if given, the command is killed with `SIGTERM` if it is still running after this
+   *   many milliseconds.
+   * @return {Promise<Object>} resolves to `{ stdout, stderr, code }` if the command exits successfully.  Rejects with
+   *   an error including `code`, `stdout` and `stderr` otherwise.  If the command was killed after `opts.timeout`,
+   *   the error has `timedOut` set to `true`.
+  */
+  run(argv, opts) {
+    const options = Object.assign({ capture: [ "stdout", "stderr" ] }, opts);
+    const timeout = options.timeout;
+    delete options.timeout;
+    const promise = spawn(argv[0], argv.slice(1), options);
+    let timer = null;
+    let timedOut = false;
+    if(timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        promise.childProcess.kill("SIGTERM");
+      }, timeout);
+    }
+    return promise
+      .then(res => {
+        clearTimeout(timer);
+        return this.recorded(argv, { stdout: res.stdout, stderr: res.stderr, code: res.code });
+      })
+      .catch(err => {
+        clearTimeout(timer);
+        if(timedOut) {
+          err.message = `\`${argv.join(" ")}\` was killed after ${timeout}ms.`;
+          err.timedOut = true;
+        }
+        if(typeof err.code === "number") {
+          this.recorded(argv, { stdout: err.stdout, stderr: err.stderr, code: err.code });
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Runs a command attached to the current terminal, for interactive sessions.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @return {Promise} resolves when the command exits successfully.
+  */
+  interactive(argv) {
+    return spawn(argv[0], argv.slice(1), { stdio: "inherit" });
+  }
+
+  /**
+   * Starts a long-running command, such as an SSH tunnel, without waiting for it to exit.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @param {Object} [opts] options to give to `spawn`, such as `env` or `cwd`.
+   * @return {ChildProcess} the running process.  Its error output is collected in `stderrText`.  If the process
+   *   couldn't be started (such as when the command isn't installed), it emits `error`, which is also stored in
+   *   `spawnError`.
+  */
+  start(argv, opts) {
+    const child = childProcess.spawn(argv[0], argv.slice(1), Object.assign({
+      stdio: [ "ignore", "ignore", "pipe" ],
+    }, opts));
+    child.stderrText = "";
+    child.spawnError = null;
+    child.on("error", err => child.spawnError = err);
+    if(child.stderr) { child.stderr.on("data", data => child.stderrText += data); }
+    this.recorded(argv, { stdout: "", stderr: "", code: null });
+    return child;
+  }
+
+  /**
+   * Starts a command in the background, detached from this process, so this process can exit while it finishes.
+   * The command's output is discarded.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @param {Object} [opts] options to give to `spawn`, such as `env` or `cwd`.
+   * @return {Promise} resolves once the command has been started.
+  */
+  detached(argv, opts) {
+    return new Promise((resolve, reject) => {
+      const child = childProcess.spawn(argv[0], argv.slice(1), Object.assign({}, opts, {
+        detached: true,
+        stdio: "ignore",
+      }));
+      child.on("error", reject);
+      child.unref();
+      this.recorded(argv, { stdout: "", stderr: "", code: null });
+      setImmediate(() => resolve({ stdout: "", stderr: "", code: null }));
+    });
+  }
+
+  /**
+   * Stores a command and its result in `history` if recording.
+   * @param {Array<String>} argv the command that was run.
+   * @param {Object} result `{ stdout, stderr, code }` from running the command.
+   * @return {Object} the given `result`.
+   * @private
+  */
+  recorded(argv, result) {
+    if(this.record) {
+      this.history.push({ argv: argv.slice(), stdout: result.stdout, stderr: result.stderr, code: result.code });
+    }
+    return result;
+  }
+
+}
+
+module.exports = CommandRunner;
@@ -0,0 +1,141 @@
+const chalk = require("chalk");
+const Reporter = require("./Reporter");
+
+/**
+ * Reports tests to the console, with colors and indentation for nested sections.  Used by {@link FormatTestOutput}
+ * if no other reporters are given.
+*/
+class ConsoleReporter extends Reporter {
+
+  /**
+   * @param {Object} [opts] options for the reporter.
+   * @param {Function} [opts.log] called with each line to print.  Defaults to `console.log`.
+   * @param {Function} [opts.warn] called with each warning line to print.  Defaults to `console.warn`.
+  */
+  constructor(opts) {
+    super();
+    opts = opts || {};
+    this.log = opts.log || ((...args) => console.log(...args));
+    this.warn = opts.warn || ((...args) => console.warn(...args));
+  }
+
+  /**
+   * Checks if this reporter writes to standard output.
+   * @return {Boolean} `true`, as results are printed to the console.
+  */
+  usesStdout() {
+    return true;
+  }
+
+  /**
+   * Indents a (possibly multi-line) message.
+   * @param {Number} depth the number of levels to indent.
+   * @param {String} msg the message to indent.
+   * @return {String} the message, with every line indented.
+   * @private
+  */
+  indent(depth, msg) {
+    const indent = new Array(depth + 1).join("  ");
+    return indent + msg.replace(/\n/g, `\n${indent}`);
+  }
+
+  /**
+   * Prints the section's name.
+   * @param {SectionResult} section the section that started.
+   * @return {void}
+  */
+  sectionStart(section) {
+    this.log("");
+    this.log(this.indent(section.depth - 1, chalk.underline.bold.blue(section.name)));
+    this.log("");
+  }
+
+  /**
+   * Prints the error that ended the section.
+   * @param {SectionResult} section the section that failed.
+   * @param {Error} err the error that ended the section.
+   * @return {void}
+  */
+  sectionError(section, err) {
+    this.warn(chalk.gray(`Encountered error in section ${section.name}.`));
+    this.warn(err.stack ? err.stack : err);
+  }
+
+  /**
+   * Prints a check mark and the test name.
+   * @param {TestResult} test the test that passed.
+   * @return {void}
+  */
+  testPass(test) {
+    this.log(this.indent(test.section.depth, chalk.green("\u2713   ") + test.name));
+  }
+
+  /**
+   * Prints a cross, the test name, and the error.
+   * @param {TestResult} test the test that failed.
+   * @param {Error} err the error that failed the test.
+   * @return {void}
+  */
+  testFail(test, err) {
+    this.warn(this.indent(test.section.depth, chalk.red("\u2717   ") + test.name));
+    this.log(this.indent(test.section.depth + 1, String(err && err.stack ? err.stack : err)));
+    if(err && err.result && typeof err.result.format === "function") {
+      this.log(this.indent(test.section.depth + 1, chalk.gray(err.result.format())));
+    }
+  }
+
+  /**
+   * Prints a dash and the test name.
+   * @param {TestResult} test the test that was skipped.
+   * @return {void}
+  */
+  testSkip(test) {
+    this.log(this.indent(test.section.depth, chalk.cyan("-   ") + chalk.gray(test.name)));
+  }
+
+  /**
+   * Prints a note that tests were bypassed.
+   * @param {SectionResult} section the section the bypass ended in.
+   * @param {Any} code the code of the bypass.
+   * @return {void}
+  */
+  bypass(section, code) {
+    this.log(this.indent(section.depth, chalk.cyan("-   ") + chalk.gray(`(tests bypassed by '${code}')`)));
+  }
+
+  /**
+   * Prints a summary of the results, similar to Mocha: the number of passing, failing, skipped and bypassed tests, the
+   * counts for each top-level section, and the name and message of every failed test.
+   * @param {SectionResult} root the root section, containing every section and test.
+   * @return {void}
+  */
+  end(root) {
+    const counts = Reporter.count(root);
+    this.log("");
+    this.log(`  ${chalk.green(`${counts.passed} passing`)} ${chalk.gray(`(${root.duration}ms)`)}`);
+    if(counts.failed > 0) { this.log(`  ${chalk.red(`${counts.failed} failing`)}`); }
+    if(counts.errors > 0) { this.log(`  ${chalk.red(`${counts.errors} section errors`)}`); }
+    if(counts.skipped > 0) { this.log(`  ${chalk.cyan(`${counts.skipped} skipped`)}`); }
+    if(counts.bypassed > 0) { this.log(`  ${chalk.cyan(`${counts.bypassed} bypassed`)}`); }
+    if(root.sections.length > 1) {
+      this.log("");
+      root.sections.forEach(section => {
+        const c = Reporter.count(section);
+        const format = c.failed > 0 || c.errors > 0 ? chalk.red : chalk.gray;
+        this.log(format(`  ${section.name}: ${c.passed} passing, ${c.failed} failing, ` +
+          `${c.skipped} skipped, ${c.bypassed} bypassed`));
+      });
+    }
+    Reporter.failures(root).forEach((test, i) => {
+      const title = Reporter.sectionPath(test.section).concat([ test.name ]).join(" ");
+      const message = test.error && test.error.message ? test.error.message : String(test.error);
+      this.log("");
+      this.log(`  ${i + 1}) ${title}:`);
+      this.log(chalk.red(this.indent(3, message)));
+    });
+    this.log("");
+  }
+
+}
+
+module.exports = ConsoleReporter;
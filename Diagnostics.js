@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const promiseTimeout = require("promise-timeout").timeout;
+const Reporter = require("./Reporter");
+
+/**
+ * Saves evidence from a failed run into a local directory before the machine is destroyed: the output of each
+ * {@link DiagnosticCollector} given by the machine (such as the journal, `dmesg` and `cloud-init` logs), and a
+ * `failures.log` describing each failed phase and test, including the output of commands that failed.
+ *
+ * A collector that fails (or takes longer than `timeout`) doesn't stop the others; its error is saved in place of its
+ * output.
+ * @example <caption>Saving diagnostics after a failure</caption>
+ * new Diagnostics(machine, "diagnostics/test-abc123").collect([ err ], out.root);
+*/
+class Diagnostics {
+
+  /**
+   * @param {TestMachine} machine the machine to collect diagnostics from.
+   * @param {String} dir the directory to save diagnostics in.  Created if it doesn't exist.
+   * @param {Number} [timeout] the maximum time each collector may take, in milliseconds.  Defaults to the machine's
+   *   `sshTimeout`.
+  */
+  constructor(machine, dir, timeout) {
+    this.machine = machine;
+    this.dir = dir;
+    this.timeout = timeout || machine.opts.sshTimeout;
+  }
+
+  /**
+   * Creates a directory and any missing parents.
+   * @param {String} dir the directory to create.
+   * @return {void}
+   * @private
+  */
+  static mkdirp(dir) {
+    if(fs.existsSync(dir)) { return; }
+    Diagnostics.mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+
+  /**
+   * Saves a file in the diagnostics directory.
+   * @param {String} file the name of the file.
+   * @param {String} text the contents of the file.
+   * @return {String} the path of the saved file.
+   * @private
+  */
+  save(file, text) {
+    const dest = path.join(this.dir, file);
+    fs.writeFileSync(dest, text.length > 0 && !text.endsWith("\n") ? `${text}\n` : text);
+    return dest;
+  }
+
+  /**
+   * Describes the failures of a run.
+   * @param {Array<Error>} errors the errors that failed phases of the run.
+   * @param {null|SectionResult} [root] the root of the run's test results.
+   * @return {String} each error and failed test, including the output of commands that failed.  Errors that failed a
+   *   test are only described once.
+  */
+  static describeFailures(errors, root) {
+    const failures = root ? Reporter.failures(root) : [];
+    const tested = failures.map(test => test.error);
+    return errors
+      .filter(err => tested.indexOf(err) === -1)
+      .map(err => `Error:\n${Reporter.describeError(err)}`)
+      .concat(failures.map(test => {
+        const name = Reporter.sectionPath(test.section).concat([ test.name ]).join(" > ");
+        return `Failed test: ${name}\n${Reporter.describeError(test.error)}`;
+      }))
+      .join("\n\n");
+  }
+
+  /**
+   * Runs every collector given by {@link TestMachine#diagnostics}, one at a time, and saves the failures of the run.
+   * Collectors are skipped if no machine instance was created.
+   * @param {Array<Error>} errors the errors that failed phases of the run.
+   * @param {null|SectionResult} [root] the root of the run's test results.
+   * @return {Promise<Array<String>>} resolves to the paths of the saved files.
+  */
+  collect(errors, root) {
+    Diagnostics.mkdirp(this.dir);
+    const saved = [ this.save("failures.log", Diagnostics.describeFailures(errors, root)) ];
+    const collectors = this.machine.describeInstance() ? this.machine.diagnostics() : [];
+    return collectors
+      .reduce((chain, collector) => chain
+        .then(() => promiseTimeout(Promise.resolve().then(() => collector.collect()), this.timeout))
+        .catch(err => `Collecting ${collector.name} failed: ${Reporter.describeError(err)}`)
+        .then(text => saved.push(this.save(collector.file, String(text)))), Promise.resolve())
+      .then(() => saved);
+  }
+
+}
+
+module.exports = Diagnostics;
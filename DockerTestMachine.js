@@ -0,0 +1,367 @@
+const merge = require("lodash.merge");
+const net = require("net");
+const path = require("path");
+const CommandRunner = require("./CommandRunner");
+const TestError = require("./TestError");
+const TestMachine = require("./TestMachine");
+
+/**
+ * @typedef {Object} DockerTestMachineOptions
+ * @property {String} cli the container CLI to use.  Either `docker` or `podman`.  Defaults to `docker`.
+ * @property {String} image the container image to start.  Defaults to `ubuntu:16.04`.
+ * @property {Array<String>} command the command run as the container's main process, which must keep running.
+ *   Defaults to `["sleep", "infinity"]`.
+ * @property {null|String} user if provided, the user to run commands as inside the container.
+ * @property {null|String} provisionScript a local shell script copied into the container and executed after it
+ *   boots.
+ * @property {null|String} cloudConfig a local `cloud-config` file that is seeded as NoCloud user-data and applied by
+ *   running `cloud-init` inside the container after it boots.  The image must include `cloud-init`.
+ * @property {Array<String>} runArgs extra arguments given to `docker run`, such as `["--privileged"]`.
+ * @property {null|String} minCliVersion the oldest CLI version accepted by {@link DockerTestMachine#preflight}.  If
+ *   not given, any version is accepted.
+*/
+
+/**
+ * The label applied to every container to mark it as created by this testing.  Its value is the machine prefix.
+ * @type {String}
+*/
+const LABEL = "cloud-machine-testing";
+
+/**
+ * Runs tests against local Docker or Podman containers, to iterate on provisioning and tests without creating cloud
+ * machines.
+*/
+class DockerTestMachine extends TestMachine {
+
+  /**
+   * @param {TestMachineOptions} opts options to configure the test machine.  Container settings are given in
+   *   `opts.docker` (see {@link DockerTestMachineOptions}).
+  */
+  constructor(opts) {
+    super(opts);
+    this.opts.docker = merge({}, {
+      cli: "docker",
+      image: "ubuntu:16.04",
+      command: [ "sleep", "infinity" ],
+      user: null,
+      provisionScript: null,
+      cloudConfig: null,
+      runArgs: [],
+      minCliVersion: null,
+    }, this.opts.docker);
+  }
+
+  /**
+   * Checks that the provisioning files exist (and the `cloud-config` is valid), that the container CLI is installed,
+   * and that its daemon is reachable.
+   * @return {Promise<Array<TestError>>} resolves to every failed check.
+  */
+  preflight() {
+    const docker = this.opts.docker;
+    return this.runPreflight([
+      this.requireFile(docker.provisionScript, "Provision script"),
+      this.requireFile(docker.cloudConfig, "Cloud-config file"),
+      this.requireCloudConfig(docker.cloudConfig),
+      this.requireCli([ docker.cli, "--version" ], docker.minCliVersion),
+      () => this.preflightCommand([ docker.cli, "info" ], `'${docker.cli}' can't reach its daemon.`,
+        TestError.codes.unreachable),
+    ]);
+  }
+
+  /**
+   * Creates a random alphabetical string to generate unique container names.
+   * @return {String} a random alphabetical string.
+  */
+  salt() {
+    return Math.random().toString(36).slice(2);
+  }
+
+  /**
+   * Runs the container CLI with the given arguments.
+   * @param {Array<String>} args the arguments to pass to the CLI.
+   * @return {Promise<Object>} resolves to `{ stdout, stderr, code }` when the command exits successfully.
+   * @private
+  */
+  cli(args) {
+    return this.runner.run([ this.opts.docker.cli ].concat(args));
+  }
+
+  /**
+   * Fetches all containers created by this testing.
+   * @return {Promise<Array>} resolves to the current containers.  Each includes
+   *   `{ id, name, zone, creationTimestamp, labels }`.
+  */
+  getInstances() {
+    return this
+      .cli([
+        "ps", "--all",
+        "--filter", `label=${LABEL}=${this.opts.prefix}`,
+        "--format", `{{.ID}}\t{{.Names}}\t{{.Label "${LABEL}.creationTimestamp"}}\t{{.Labels}}`,
+      ])
+      .then(res => res.stdout
+        .split("\n")
+        .filter(line => line.trim().length > 0)
+        .map(line => {
+          const [ id, name, creationTimestamp, pairs ] = line.split("\t");
+          const labels = {};
+          (pairs || "").split(",").forEach(pair => {
+            const split = pair.indexOf("=");
+            if(split > 0) { labels[pair.slice(0, split)] = pair.slice(split + 1); }
+          });
+          return { id, name, zone: "local", creationTimestamp, labels };
+        }));
+  }
+
+  /**
+   * Starts a new container for testing, and runs any provisioning configured.
+   * @return {Promise} resolves when the container has been started and provisioned.
+  */
+  createInstance() {
+    this._salt = this.salt();
+    this._image = `${this.opts.prefix}${this._salt}`;
+    const docker = this.opts.docker;
+    return this
+      .cli([].concat(
+        [ "run", "--detach", "--name", this._image ],
+        [ "--label", `${LABEL}=${this.opts.prefix}` ],
+        [ "--label", `${LABEL}.creationTimestamp=${new Date().toISOString()}` ],
+        this.labelArgs(),
+        docker.runArgs,
+        [ docker.image ],
+        docker.command
+      ))
+      .then(() => {
+        console.log("Created container.  Ensuring commands can be run.");
+        return this.ensureStarted(this.opts.sshTimeout);
+      })
+      .then(() => this.provision());
+  }
+
+  /**
+   * Builds the `--label` arguments recording the ownership labels from {@link TestMachine#instanceLabels}.
+   * @return {Array<String>} arguments to `docker run`.
+   * @private
+  */
+  labelArgs() {
+    const labels = this.instanceLabels();
+    return [].concat.apply([], Object.keys(labels).map(key => [ "--label", `${key}=${labels[key]}` ]));
+  }
+
+  /**
+   * Runs the configured provisioning script and `cloud-config` inside the new container.
+   * @return {Promise} resolves when provisioning has finished.
+  */
+  provision() {
+    const docker = this.opts.docker;
+    let chain = Promise.resolve();
+    if(docker.cloudConfig) {
+      const seed = "/var/lib/cloud/seed/nocloud";
+      const metaData = CommandRunner.quote(`instance-id: ${this._image}`);
+      chain = chain
+        .then(() => this.exec(`mkdir -p ${seed} && echo ${metaData} > ${seed}/meta-data`))
+        .then(() => this.upload(path.resolve(docker.cloudConfig), `${seed}/user-data`))
+        .then(() => this.exec([
+          "cloud-init init --local",
+          "cloud-init init",
+          "cloud-init modules --mode=config",
+          "cloud-init modules --mode=final",
+        ].join(" && ")));
+    }
+    if(docker.provisionScript) {
+      chain = chain
+        .then(() => this.upload(path.resolve(docker.provisionScript), "/tmp/provision.sh"))
+        .then(() => this.exec("sh /tmp/provision.sh"));
+    }
+    return chain;
+  }
+
+  /**
+   * Removes the container used for testing.
+   * @param {Object} [opts] options for removing the container.
+   * @param {Boolean} [opts.background] if `true`, runs `docker rm` detached from this process.
+   * @return {Promise} resolves when the container has been removed (or removal has started).
+  */
+  destroyInstance(opts) {
+    if(!this._image) { return Promise.resolve(); }
+    const argv = [ this.opts.docker.cli, "rm", "--force", this._image ];
+    return opts && opts.background ? this.runner.detached(argv) : this.runner.run(argv);
+  }
+
+  /**
+   * Forwards a local port to a port in the container, by proxying connections to the container's IP address.  The
+   * container's network must be reachable from the host, as it is with Docker on Linux.
+   * @param {Number} remotePort the port in the container.
+   * @param {Object} [opts] options for the forward.
+   * @param {Number} [opts.localPort] the local port to listen on.  Defaults to a free port.
+   * @return {Promise<Number>} resolves to the local port once it accepts connections.
+  */
+  forward(remotePort, opts) {
+    const format = "{{range .NetworkSettings.Networks}}{{.IPAddress}} {{end}}";
+    return this
+      .cli([ "inspect", "--format", format, this._image ])
+      .then(res => {
+        const address = res.stdout.trim().split(/\s+/)[0];
+        if(!address) { throw new TestError(`Container ${this._image} has no IP address.`); }
+        const sockets = [];
+        const server = net.createServer(socket => {
+          const upstream = net.connect(remotePort, address);
+          sockets.push(socket, upstream);
+          socket.on("error", () => upstream.destroy());
+          upstream.on("error", () => socket.destroy());
+          socket.pipe(upstream).pipe(socket);
+        });
+        return new Promise((resolve, reject) => {
+          server.on("error", reject);
+          server.listen(opts && opts.localPort ? opts.localPort : 0, "127.0.0.1", () => {
+            const localPort = server.address().port;
+            this.forwards.push({ localPort, remotePort, close: () => {
+              sockets.forEach(socket => socket.destroy());
+              server.close();
+            } });
+            resolve(localPort);
+          });
+        });
+      });
+  }
+
+  /**
+   * Restarts the container, and waits until commands can be run in it again.  Containers share the host's boot ID, so
+   * it isn't checked.
+   * @param {Integer} [timeout] the maximum time to wait for the container to come back.  Defaults to `sshTimeout`.
+   * @return {Promise} resolves when the container is running again.
+  */
+  reboot(timeout) {
+    return this
+      .cli([ "restart", this._image ])
+      .then(() => this.ensureStarted(timeout || this.opts.sshTimeout));
+  }
+
+  /**
+   * Applies the provisioning script and `cloud-config` again, unless a `reprovisionCommand` is configured.
+   * @return {Promise} resolves when provisioning has been applied.
+  */
+  reprovision() {
+    if(this.opts.reprovisionCommand) { return super.reprovision(); }
+    return this.provision();
+  }
+
+  /**
+   * The `cloud-config` file applied inside the container.
+   * @return {null|String} the `cloudConfig` option.
+  */
+  cloudConfig() {
+    return this.opts.docker.cloudConfig;
+  }
+
+  /**
+   * Collects the container's logs, the `cloud-init` logs and any failed `systemd` units.  Commands run as root with
+   * `docker exec`, as containers rarely have `sudo`, and the journal and kernel log aren't collected.
+   * @return {Array<DiagnosticCollector>} every collector this backend provides.
+   * @protected
+  */
+  diagnosticCollectors() {
+    const exec = (name, file, command) => ({
+      name,
+      file,
+      collect: () => this
+        .remote(command, [ this.opts.docker.cli, "exec", "--user", "root", this._image, "sh", "-c", command ],
+          { allowFailure: true })
+        .then(res => res.format()),
+    });
+    return [
+      {
+        name: "logs",
+        file: "container.log",
+        collect: () => this.cli([ "logs", this._image ]).then(res => `${res.stdout}${res.stderr}`),
+      },
+      exec("cloud-init", "cloud-init.log", "cat /var/log/cloud-init.log /var/log/cloud-init-output.log"),
+      exec("failed-units", "failed-units.log", "systemctl list-units --failed --no-pager"),
+    ];
+  }
+
+  /**
+   * Removes a container listed by {@link DockerTestMachine#getInstances}.
+   * @param {Object} instance the container to remove.
+   * @return {Promise} resolves when the container has been removed.
+  */
+  removeInstance(instance) {
+    return this.cli([ "rm", "--force", instance.id ]);
+  }
+
+  /**
+   * Runs a command as root inside the current container, regardless of the configured user.
+   * @param {String} command the shell command to execute.
+   * @return {Promise} resolves when the command exits successfully.
+   * @private
+  */
+  exec(command) {
+    return this.cli([ "exec", "--user", "root", this._image, "sh", "-c", command ]);
+  }
+
+  /**
+   * Copies a local file into the current container with `docker cp`.
+   * @param {String} localPath the file to copy.
+   * @param {String} remotePath the destination inside the container.
+   * @return {Promise} resolves when the file has been copied.
+  */
+  upload(localPath, remotePath) {
+    return this.cli([ "cp", localPath, `${this._image}:${remotePath}` ]);
+  }
+
+  /**
+   * Copies a file out of the current container with `docker cp`.
+   * @param {String} remotePath the file to copy from the container.
+   * @param {String} localPath the local destination.
+   * @return {Promise} resolves when the file has been copied.
+  */
+  download(remotePath, localPath) {
+    return this.cli([ "cp", `${this._image}:${remotePath}`, localPath ]);
+  }
+
+  /**
+   * Recursively copies a local directory into the current container.  `docker cp` always copies recursively, and nests
+   * like `scp -r`: if `remotePath` already exists, the directory is copied inside it (as `remotePath/<name>`),
+   * otherwise `remotePath` is created holding the directory's contents.
+   * @param {String} localPath the directory to copy.
+   * @param {String} remotePath the destination directory inside the container.
+   * @return {Promise} resolves when the directory has been copied.
+  */
+  uploadDirectory(localPath, remotePath) {
+    return this.upload(localPath, remotePath);
+  }
+
+  /**
+   * Recursively copies a directory out of the current container.  `docker cp` always copies recursively, and nests
+   * like `scp -r`: if `localPath` already exists, the directory is copied inside it.
+   * @param {String} remotePath the directory to copy from the container.
+   * @param {String} localPath the local destination directory.
+   * @return {Promise} resolves when the directory has been copied.
+  */
+  downloadDirectory(remotePath, localPath) {
+    return this.download(remotePath, localPath);
+  }
+
+  /**
+   * Runs a command inside the current container.  Named `ssh` to match {@link TestMachine#ssh}, but uses
+   * `docker exec` instead of an SSH connection.
+   * @param {String} command a command to execute in the container.  If not provided, an interactive shell is started.
+   * @param {SSHOptions} [opts] options for running the command.
+   * @return {Promise<CommandResult>} resolves when the command terminates.  Rejects with a {@link CommandError} if the
+   *   command exits with a non-zero exit code, unless `opts.allowFailure` is set.
+  */
+  ssh(command, opts) {
+    const user = this.opts.docker.user ? [ "--user", this.opts.docker.user ] : [];
+    if(command) {
+      const argv = [].concat([ this.opts.docker.cli, "exec" ], user, [ this._image, "sh", "-c", command ]);
+      return this.remote(command, argv, opts);
+    }
+    return this.runner.interactive([].concat(
+      [ this.opts.docker.cli, "exec", "--interactive", "--tty" ],
+      user,
+      [ this._image, "sh" ]
+    ));
+  }
+
+}
+
+module.exports = DockerTestMachine;
@@ -0,0 +1,224 @@
+const merge = require("lodash.merge");
+const path = require("path");
+const AWSCli = require("./AWSCli");
+const SSHTestMachine = require("./SSHTestMachine");
+const TestError = require("./TestError");
+
+/**
+ * @typedef {Object} EC2TestMachineOptions
+ * @property {String} ami the AMI to launch.  Required.
+ * @property {String} instanceType the EC2 instance type.  Defaults to `t2.micro`.
+ * @property {String} keyName the name of the EC2 key pair to launch the instance with.  Required to SSH in.
+ * @property {String} keyFile the local private key matching `keyName`.
+ * @property {String} user the user to SSH in as.  Defaults to `ubuntu`.
+ * @property {null|String} userData a local file given to the instance as user-data.  Defaults to `cloud-config.yaml`.
+ * @property {Boolean} spot if `true`, launches a spot instance.  Defaults to `true`.
+ * @property {Array<String>} securityGroupIds security groups to launch the instance in.  Must allow SSH.
+ * @property {null|String} subnetId the subnet to launch the instance in.
+ * @property {AWSCliOptions} cli options for the {@link AWSCli} used to call AWS.
+ * @property {null|String} minCliVersion the oldest AWS CLI version accepted by {@link EC2TestMachine#preflight}.  If
+ *   not given, any version is accepted.
+*/
+
+/**
+ * The tag applied to every instance to mark it as created by this testing.  Its value is the machine prefix.
+ * @type {String}
+*/
+const TAG = "cloud-machine-testing";
+
+/**
+ * Interacts with AWS EC2 to create machines for testing.  Instances are launched from an AMI with user-data, tagged
+ * with the machine prefix, and accessed over SSH using the instance's key pair.
+*/
+class EC2TestMachine extends SSHTestMachine {
+
+  /**
+   * @param {TestMachineOptions} opts options to configure the test machine.  EC2 settings are given in `opts.ec2`
+   *   (see {@link EC2TestMachineOptions}).
+  */
+  constructor(opts) {
+    super(opts);
+    this.opts.ec2 = merge({}, {
+      ami: null,
+      instanceType: "t2.micro",
+      keyName: null,
+      keyFile: null,
+      user: "ubuntu",
+      userData: "cloud-config.yaml",
+      spot: true,
+      securityGroupIds: [],
+      subnetId: null,
+      cli: {},
+      minCliVersion: null,
+    }, this.opts.ec2);
+    this.aws = new AWSCli(this.opts.ec2.cli, this.runner);
+  }
+
+  /**
+   * Checks that an AMI is configured, that the user-data and key files exist (and any `cloud-config` is valid), that
+   * the AWS CLI and `ssh` are installed, that the AWS credentials are valid, and that a region is configured.
+   * @return {Promise<Array<TestError>>} resolves to every failed check.
+  */
+  preflight() {
+    const ec2 = this.opts.ec2;
+    const codes = TestError.codes;
+    const profile = this.aws.profile ? [ "--profile", this.aws.profile ] : [];
+    return this.runPreflight([
+      () => {
+        if(!ec2.ami) { throw new TestError("No AMI configured for EC2TestMachine.", codes.configuration); }
+      },
+      this.requireFile(ec2.userData, "User-data file"),
+      this.requireCloudConfig(ec2.userData),
+      this.requireFile(ec2.keyFile, "SSH key"),
+      this.requireCli([ this.aws.cli, "--version" ], ec2.minCliVersion),
+      this.requireCli([ "ssh", "-V" ]),
+      () => this.aws
+        .run("sts", "get-caller-identity")
+        .catch(err => {
+          throw new TestError(`AWS credentials were rejected.  ${String(err.stderr || err.message).trim()}`,
+            codes.account);
+        }),
+      () => {
+        if(this.aws.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION) { return; }
+        return this.preflightCommand([ this.aws.cli, "configure", "get", "region" ].concat(profile),
+          "No AWS region configured.  Set 'opts.ec2.cli.region', or run 'aws configure'.", codes.zone);
+      },
+    ]);
+  }
+
+  /**
+   * Fetches all EC2 instances tagged with the machine prefix that haven't been terminated.
+   * @return {Promise<Array>} resolves to the current running machines.  Each includes
+   *   `{ id, name, zone, creationTimestamp, labels }`, where `labels` holds the instance's tags.
+  */
+  getInstances() {
+    return this.aws
+      .run("ec2", "describe-instances", [
+        "--filters",
+        `Name=tag:${TAG},Values=${this.opts.prefix}`,
+        "Name=instance-state-name,Values=pending,running,stopping,stopped",
+      ])
+      .then(res => [].concat.apply([], (res.Reservations || []).map(r => r.Instances)))
+      .then(instances => instances.map(instance => {
+        const labels = {};
+        (instance.Tags || []).forEach(tag => labels[tag.Key] = tag.Value);
+        return {
+          id: instance.InstanceId,
+          name: labels.Name || instance.InstanceId,
+          zone: instance.Placement ? instance.Placement.AvailabilityZone : undefined,
+          creationTimestamp: instance.LaunchTime,
+          labels,
+        };
+      }));
+  }
+
+  /**
+   * Launches a new EC2 instance, waits for it to run, and ensures that SSH connections work.
+   * @return {Promise} resolves when the machine has been created.
+  */
+  createInstance() {
+    const ec2 = this.opts.ec2;
+    this._salt = this.salt();
+    this._image = `${this.opts.prefix}${this._salt}`;
+    const labels = this.instanceLabels();
+    const tags = [ `{Key=Name,Value=${this._image}}`, `{Key=${TAG},Value=${this.opts.prefix}}` ]
+      .concat(Object.keys(labels).map(key => `{Key=${key},Value=${labels[key]}}`));
+    let args = [
+      "--image-id", ec2.ami,
+      "--instance-type", ec2.instanceType,
+      "--count", "1",
+      "--tag-specifications",
+      `ResourceType=instance,Tags=[${tags.join(",")}]`,
+    ];
+    if(ec2.keyName) { args = args.concat([ "--key-name", ec2.keyName ]); }
+    if(ec2.userData) { args = args.concat([ "--user-data", `file://${path.resolve(ec2.userData)}` ]); }
+    if(ec2.spot) { args = args.concat([ "--instance-market-options", "MarketType=spot" ]); }
+    if(ec2.securityGroupIds.length > 0) { args = args.concat([ "--security-group-ids" ], ec2.securityGroupIds); }
+    if(ec2.subnetId) { args = args.concat([ "--subnet-id", ec2.subnetId ]); }
+    return this.aws
+      .run("ec2", "run-instances", args)
+      .then(res => this._instanceId = res.Instances[0].InstanceId)
+      .then(() => this.aws.run("ec2", "wait", [ "instance-running", "--instance-ids", this._instanceId ]))
+      .then(() => this.aws.run("ec2", "describe-instances", [ "--instance-ids", this._instanceId ]))
+      .then(res => {
+        const instance = res.Reservations[0].Instances[0];
+        this.host = {
+          host: instance.PublicIpAddress || instance.PrivateIpAddress,
+          user: ec2.user,
+          key: ec2.keyFile,
+        };
+        console.log(`Created instance ${this._instanceId}.  Ensuring SSH connection works.`);
+        return this.ensureStarted(this.ensureStartedTimeout);
+      });
+  }
+
+  /**
+   * Describes the created instance, including its instance ID.
+   * @return {Object} the saved state, including `{ name, salt, host, instanceId }`.
+  */
+  toState() {
+    return merge(super.toState(), { instanceId: this._instanceId });
+  }
+
+  /**
+   * Points this object at an existing EC2 instance.
+   * @param {Object} state the saved state, from {@link EC2TestMachine#toState}.
+   * @return {void}
+  */
+  restore(state) {
+    super.restore(state);
+    this._instanceId = state.instanceId;
+  }
+
+  /**
+   * Identifies the EC2 instance created by {@link EC2TestMachine#createInstance}.
+   * @return {null|Object} `{ id, name }`, where `id` is the EC2 instance ID, or `null` if no instance has been created.
+  */
+  describeInstance() {
+    return this._image ? { id: this._instanceId || this._image, name: this._image } : null;
+  }
+
+  /**
+   * Terminates the EC2 instance used for testing.  Termination always finishes in the background.
+   * @return {Promise} resolves when termination has been requested.
+  */
+  destroyInstance() {
+    if(!this._instanceId) { return Promise.resolve(); }
+    return this.aws.run("ec2", "terminate-instances", [ "--instance-ids", this._instanceId ]);
+  }
+
+  /**
+   * The file given as user-data.  Files that aren't a `cloud-config`, such as shell scripts, aren't validated.
+   * @return {null|String} the `userData` option.
+  */
+  cloudConfig() {
+    return this.opts.ec2.userData;
+  }
+
+  /**
+   * Adds the console output to the default collectors, which shows boot failures even if SSH never worked.
+   * @return {Array<DiagnosticCollector>} every collector this backend provides.
+   * @protected
+  */
+  diagnosticCollectors() {
+    return [ {
+      name: "console",
+      file: "console.log",
+      collect: () => this.aws
+        .run("ec2", "get-console-output", [ "--instance-id", this._instanceId ])
+        .then(res => res.Output || ""),
+    } ].concat(super.diagnosticCollectors());
+  }
+
+  /**
+   * Terminates an EC2 instance listed by {@link EC2TestMachine#getInstances}.
+   * @param {Object} instance the instance to terminate.
+   * @return {Promise} resolves when termination has been requested.
+  */
+  removeInstance(instance) {
+    return this.aws.run("ec2", "terminate-instances", [ "--instance-ids", instance.id ]);
+  }
+
+}
+
+module.exports = EC2TestMachine;
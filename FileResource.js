@@ -0,0 +1,155 @@
+const CommandRunner = require("./CommandRunner");
+const Resource = require("./Resource");
+
+/**
+ * A file or directory on a {@link TestMachine}.  Create with {@link TestMachine#file}.
+ * @example <caption>Checking a configuration file</caption>
+ * out.it("should install the nginx config", () => {
+ *   const config = machine.file("/etc/nginx/nginx.conf");
+ *   return config.shouldExist()
+ *     .then(() => config.shouldHaveMode("644"))
+ *     .then(() => config.shouldBeOwnedBy("root"))
+ *     .then(() => config.shouldContain(/worker_processes \d+;/));
+ * });
+*/
+class FileResource extends Resource {
+
+  /**
+   * @param {TestMachine} machine the machine the file is on.
+   * @param {String} path the absolute path to the file.
+   * @param {Object} [opts] options for inspecting the file.
+   * @param {Boolean} [opts.sudo] if `true`, inspects the file with `sudo`, to check files the SSH user can't read.
+  */
+  constructor(machine, path, opts) {
+    super(machine, "file", path);
+    this.sudo = !!(opts && opts.sudo);
+    this.quoted = CommandRunner.quote(path);
+  }
+
+  /**
+   * Runs a command, prefixed with `sudo` if configured.
+   * @param {String} command the command to run.
+   * @return {Promise<CommandResult>} resolves to the result of the command.
+   * @protected
+  */
+  run(command) {
+    return super.run(this.sudo ? `sudo ${command}` : command);
+  }
+
+  /**
+   * Checks if the file exists.
+   * @return {Promise<Boolean>} resolves to `true` if anything exists at the path.
+  */
+  exists() {
+    return this.run(`test -e ${this.quoted}`).then(res => res.success);
+  }
+
+  /**
+   * Checks if the path is a directory.
+   * @return {Promise<Boolean>} resolves to `true` if the path is a directory.
+  */
+  isDirectory() {
+    return this.run(`test -d ${this.quoted}`).then(res => res.success);
+  }
+
+  /**
+   * Fetches the permissions and ownership of the file.
+   * @return {Promise<null|Object>} resolves to `{ mode, owner, group }`, or `null` if the file doesn't exist.  `mode`
+   *   is an octal string such as `"644"`.
+  */
+  stat() {
+    return this
+      .run(`stat -c '%a %U %G' ${this.quoted}`)
+      .then(res => {
+        if(!res.success) { return null; }
+        const [ mode, owner, group ] = res.stdout.split(" ");
+        return { mode, owner, group };
+      });
+  }
+
+  /**
+   * Fetches the contents of the file.
+   * @return {Promise<null|String>} resolves to the contents, or `null` if the file can't be read.
+  */
+  contents() {
+    return this.run(`cat ${this.quoted}`).then(res => res.success ? res.stdout : null);
+  }
+
+  /**
+   * Asserts that the file exists.
+   * @return {Promise} rejects with an `AssertionError` if the file doesn't exist.
+  */
+  shouldExist() {
+    return this.exists().then(exists => this.check(exists, "to exist"));
+  }
+
+  /**
+   * Asserts that the file doesn't exist.
+   * @return {Promise} rejects with an `AssertionError` if the file exists.
+  */
+  shouldNotExist() {
+    return this.exists().then(exists => this.check(!exists, "not to exist"));
+  }
+
+  /**
+   * Asserts that the path is a directory.
+   * @return {Promise} rejects with an `AssertionError` if the path isn't a directory.
+  */
+  shouldBeDirectory() {
+    return this.isDirectory().then(dir => this.check(dir, "to be a directory"));
+  }
+
+  /**
+   * Asserts that the path isn't a directory.
+   * @return {Promise} rejects with an `AssertionError` if the path is a directory.
+  */
+  shouldNotBeDirectory() {
+    return this.isDirectory().then(dir => this.check(!dir, "not to be a directory"));
+  }
+
+  /**
+   * Asserts that the file has the given permissions.
+   * @param {String|Number} mode the expected octal mode, such as `"644"` or `0o644`.
+   * @return {Promise} rejects with an `AssertionError` if the file has different permissions.
+  */
+  shouldHaveMode(mode) {
+    const expected = typeof mode === "number" ? mode.toString(8) : mode.replace(/^0+(?=\d)/, "");
+    return this
+      .stat()
+      .then(stat => this.check(stat && stat.mode === expected, `to have mode ${expected}`, stat ? stat.mode : null));
+  }
+
+  /**
+   * Asserts that the file is owned by the given user, and optionally group.
+   * @param {String} owner the expected owner.
+   * @param {String} [group] the expected group.
+   * @return {Promise} rejects with an `AssertionError` if the file has a different owner or group.
+  */
+  shouldBeOwnedBy(owner, group) {
+    const expected = group ? `${owner}:${group}` : owner;
+    return this
+      .stat()
+      .then(stat => {
+        const actual = stat ? (group ? `${stat.owner}:${stat.group}` : stat.owner) : null;
+        return this.check(actual === expected, `to be owned by ${expected}`, actual);
+      });
+  }
+
+  /**
+   * Asserts that the file's contents include a string or match a pattern.
+   * @param {String|RegExp} expected the text to find, or a pattern to match.
+   * @return {Promise} rejects with an `AssertionError` if the contents don't match.
+  */
+  shouldContain(expected) {
+    return this
+      .contents()
+      .then(contents => {
+        const pass = contents !== null &&
+          (expected instanceof RegExp ? expected.test(contents) : contents.indexOf(expected) !== -1);
+        return this.check(pass, `to contain ${expected instanceof RegExp ? expected : JSON.stringify(expected)}`);
+      });
+  }
+
+}
+
+module.exports = FileResource;
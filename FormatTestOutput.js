@@ -1,5 +1,6 @@
-const chalk = require("chalk");
 const EventEmitter = require("events");
+const ConsoleReporter = require("./ConsoleReporter");
+const Reporter = require("./Reporter");
 
 /**
  * A special type of `Error` that is used when skipping sections of code.
@@ -23,12 +24,132 @@ class Bypass extends Error {
  * Test failure results in a Promise rejection, and must be manually allowed (with `allowAssertion`) to prevent other
  * tests from being skipped.  `startBypass`/`resumeBypass` are utilities for skipping dependent test sections after a
  * failure.
+ *
+ * Results are sent to each {@link Reporter} given.  By default, a {@link ConsoleReporter} prints results to the
+ * console, and {@link JUnitReporter}, {@link TAPReporter} and {@link JSONReporter} can write results for CI.
+ * @example <caption>Reporting to the console and to a JUnit XML file</caption>
+ * const out = new FormatTestOutput({
+ *   reporters: [ new ConsoleReporter(), new JUnitReporter({ file: "results.xml" }) ],
+ * });
 */
 class FormatTestOutput extends EventEmitter {
 
-  constructor() {
+  /**
+   * @param {Object} [opts] options for the test output.
+   * @param {Array<Reporter>} [opts.reporters] the reporters to send results to.  Defaults to a single
+   *   {@link ConsoleReporter}.
+  */
+  constructor(opts) {
     super();
+    opts = opts || {};
     this.indentation = 0;
+    this.reporters = opts.reporters || [ new ConsoleReporter() ];
+    this.warnedStdout = false;
+    this.checkReporters();
+    this.root = this.createSection(null, null);
+    this.current = this.root;
+  }
+
+  /**
+   * Adds a reporter to send results to.
+   * @param {Reporter} reporter the reporter to add.
+   * @return {FormatTestOutput} this object, for chaining.
+  */
+  addReporter(reporter) {
+    this.reporters.push(reporter);
+    this.checkReporters();
+    return this;
+  }
+
+  /**
+   * Warns if several reporters write to standard output, as their output would be mixed together.
+   * @return {void}
+   * @private
+  */
+  checkReporters() {
+    const stdout = this.reporters.filter(reporter => reporter.usesStdout());
+    if(stdout.length > 1 && !this.warnedStdout) {
+      this.warnedStdout = true;
+      const names = stdout.map(reporter => reporter.constructor.name).join(", ");
+      console.warn(`Reporters ${names} all write to standard output, so their output will be mixed.  Give each ` +
+        "reporter except one a `file`.");
+    }
+  }
+
+  /**
+   * Sends an event to every reporter.
+   * @param {String} event the name of the {@link Reporter} method to call.
+   * @param {...Any} args the arguments to give the reporters.
+   * @return {Array} the values returned by each reporter.
+   * @private
+  */
+  report(event, ...args) {
+    return this.reporters.map(reporter => reporter[event](...args));
+  }
+
+  /**
+   * Creates the record of a section's results.
+   * @param {null|String} name the name of the section.
+   * @param {null|SectionResult} parent the section containing the new section.
+   * @return {SectionResult} the new section.
+   * @private
+  */
+  createSection(name, parent) {
+    return {
+      name,
+      parent,
+      depth: parent ? parent.depth + 1 : 0,
+      sections: [],
+      tests: [],
+      bypassed: [],
+      error: null,
+      started: new Date(),
+      duration: 0,
+    };
+  }
+
+  /**
+   * Records a test's result in the section it ran in.
+   * @param {SectionResult} section the section the test ran in.
+   * @param {String} name the name of the test.
+   * @param {String} state either `"passed"`, `"failed"` or `"skipped"`.
+   * @param {Object} [details] any of `{ duration, error, reason }`.
+   * @return {TestResult} the recorded test.
+   * @private
+  */
+  record(section, name, state, details) {
+    const test = Object.assign({ name, section, state, duration: 0, error: null, reason: null }, details);
+    section.tests.push(test);
+    return test;
+  }
+
+  /**
+   * Counts the results of the tests that have run, including tests whose failures were allowed with
+   * {@link FormatTestOutput#allowAssertion}.
+   * @param {SectionResult} [section] the section to count, including nested sections.  Defaults to every section.
+   * @return {TestCounts} the number of passed, failed, skipped and bypassed tests, and section errors.
+  */
+  stats(section) {
+    return Reporter.count(section || this.root);
+  }
+
+  /**
+   * Checks if any test failed, or any section ended early due to an error.
+   * @return {Boolean} `true` if there were failures.
+  */
+  hasFailures() {
+    const stats = this.stats();
+    return stats.failed > 0 || stats.errors > 0;
+  }
+
+  /**
+   * Tells every reporter that testing is finished, so reports (and the {@link ConsoleReporter} summary) can be
+   * written.
+   * @return {Promise} resolves when every reporter has finished.
+  */
+  end() {
+    this.root.duration = new Date() - this.root.started;
+    return Promise.all(this.report("end", this.root));
   }
 
   /**
@@ -52,7 +173,7 @@ class FormatTestOutput extends EventEmitter {
 
   /**
    * Start a section of testing.  Similar to Mocha's `describe` block.  Catches any errors from inside the `contents`,
-   * and logs them to the console.
+   * and reports them.
    * @param {String} name a descriptive name for this section.
    * @param {Function} contents the contents of this section.  Must return a Promise.
    * @returns {Promise} the returned value of `contents`.
@@ -67,23 +188,31 @@ class FormatTestOutput extends EventEmitter {
    * });
   */
   section(name, contents) {
-    console.log("");
-    console.log(this.indent() + chalk.underline.bold.blue(name));
-    console.log("");
+    const section = this.createSection(name, this.current);
+    this.current.sections.push(section);
+    this.current = section;
+    this.report("sectionStart", section);
     ++this.indentation;
     return Promise
-      .resolve(contents())
+      .resolve()
+      .then(() => contents())
       .catch(err => {
-        console.warn(chalk.gray(`Encountered error in section ${name}.`));
-        console.warn(err.stack ? err.stack : err);
+        section.error = err;
+        this.report("sectionError", section, err);
         return true;
       })
-      .then(() => --this.indentation);
+      .then(() => {
+        section.duration = new Date() - section.started;
+        this.current = section.parent;
+        --this.indentation;
+        this.report("sectionEnd", section);
+      });
   }
 
   /**
-   * Run a single test, and logs to the console.  Prints any encountered errors to the console.  Works like Mocha's
-   * `it`.
+   * Run a single test, and reports the result.  Reporters are given any encountered errors, and the
+   * {@link ConsoleReporter} prints the command and its output if the error has a {@link CommandResult} as `result`
+   * (such as a {@link CommandError}).  Works like Mocha's `it`.
    * @param {String} name a descriptive name for this test.
    * @param {Function} contents the test to run.  Should return a `Promise` if async.
    * @return {Promise} the result of running the `contents`.
@@ -93,20 +222,34 @@ class FormatTestOutput extends EventEmitter {
    * out.it("adds", () => (1 + 1).should.equal(2));
   */
   it(name, contents) {
+    const section = this.current;
+    const started = new Date();
     return Promise
       .resolve()
       .then(() => contents())
-      .then(() => console.log(this.indent() + chalk.green("\u2713   ") + name))
+      .then(() => {
+        const test = this.record(section, name, "passed", { duration: new Date() - started });
+        this.report("testPass", test);
+      })
       .catch(err => {
+        const test = this.record(section, name, "failed", { duration: new Date() - started, error: err });
+        this.report("testFail", test, err);
         this.emit("error", err);
-        console.warn(this.indent() + chalk.red("\u2717   ") + name);
-        ++this.indentation;
-        console.log(this.indentLines( err.stack ? err.stack : err ));
-        --this.indentation;
         throw err;
       });
   }
 
+  /**
+   * Logs a test that was not run, such as a test skipped by a bypass.
+   * @param {String} name a descriptive name for the skipped test.
+   * @param {String} [reason] why the test was skipped.
+   * @return {void}
+  */
+  skip(name, reason) {
+    const test = this.record(this.current, name, "skipped", { reason: reason || null });
+    this.report("testSkip", test);
+  }
+
   /**
    * Helper for {@link FormatTestOutput#it} to be used inside `.then()`.  Given same arguments as `it`.
    * @returns {Promise} see {@link FormatTestOutput#it}
@@ -204,6 +347,8 @@ class FormatTestOutput extends EventEmitter {
   resumeBypass(code) {
     return (err) => {
       if(err.name !== "Bypass" || err.code !== code) { throw err; }
+      this.current.bypassed.push(code);
+      this.report("bypass", this.current, code);
       return true;
     };
   }
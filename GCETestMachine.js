@@ -1,17 +1,80 @@
-const exec = require("child-process-promise").exec;
+const merge = require("lodash.merge");
+const TestError = require("./TestError");
 const TestMachine = require("./TestMachine");
 
+/**
+ * @typedef {Object} GCETestMachineOptions
+ * @property {String} zone the zone to create machines in.  Defaults to `us-east1-d`.
+ * @property {null|String} project the Google Cloud project to use.  If not given, uses the `gcloud` default.
+ * @property {null|String} image a specific image to boot from.  Overrides `imageFamily`.
+ * @property {String} imageFamily the image family to boot from.  Defaults to `ubuntu-1604-lts`.
+ * @property {String} imageProject the project containing the image.  Defaults to `ubuntu-os-cloud`.
+ * @property {String} machineType the machine type to create.  Defaults to `n1-standard-1`.
+ * @property {null|String} diskSize the size of the boot disk, such as `"20GB"`.  If not given, uses the image size.
+ * @property {Object} labels labels to apply to created machines, as `{ key: value }`.  Added to the ownership
+ *   labels from {@link TestMachine#instanceLabels}.
+ * @property {Array<String>} tags network tags to apply to created machines.
+ * @property {null|String} serviceAccount the service account created machines run as.
+ * @property {Array<String>} scopes access scopes given to the service account.
+ * @property {Object} metadata metadata to set on created machines, as `{ key: value }`.  Defaults to
+ *   `{ production: "false" }`.
+ * @property {Object} metadataFromFile metadata to set from local files, as `{ key: path }`.
+ * @property {null|String} userData a local `cloud-config` file given to the machine as `user-data`.  Defaults to
+ *   `cloud-config.yaml`.
+ * @property {null|String} startupScript a local script given to the machine as `startup-script`, which can be used
+ *   instead of (or alongside) `userData`.
+ * @property {Boolean} preemptible if `true`, creates preemptible machines.  Defaults to `true`.
+ * @property {Boolean} preemptibleFallback if `true`, and a preemptible machine can't be created because the zone
+ *   is out of preemptible capacity (or preemptible CPU quota), retries with a standard machine.  Other failures aren't
+ *   retried.  Defaults to `false`.
+ * @property {null|String} minCliVersion the oldest Google Cloud SDK version accepted by
+ *   {@link GCETestMachine#preflight}, such as `"180.0.0"`.  If not given, any version is accepted.
+*/
+
+/**
+ * Match `gcloud` errors caused by a lack of preemptible capacity, which `preemptibleFallback` retries with a standard
+ * machine.
+ * @type {Array<RegExp>}
+*/
+const PREEMPTIBLE_UNAVAILABLE = [
+  /ZONE_RESOURCE_POOL_EXHAUSTED/,
+  /does not have enough resources available/i,
+  /PREEMPTIBLE_CPUS/,
+  /preemptible\b.*\b(unavailable|not available|capacity)/i,
+];
+
 /**
  * Interacts with the Google Compute Engine to interact with machines to create testing environments.
 */
 class GCETestMachine extends TestMachine {
 
   /**
-   * @param {TestMachineOptions} opts options to configure the test machine.
+   * @param {TestMachineOptions} opts options to configure the test machine.  Machine creation settings are given in
+   *   `opts.gce` (see {@link GCETestMachineOptions}).
   */
   constructor(opts) {
     super(opts);
-    this.zone = "us-east1-d";
+    this.opts.gce = merge({}, {
+      zone: "us-east1-d",
+      project: null,
+      image: null,
+      imageFamily: "ubuntu-1604-lts",
+      imageProject: "ubuntu-os-cloud",
+      machineType: "n1-standard-1",
+      diskSize: null,
+      labels: {},
+      tags: [],
+      serviceAccount: null,
+      scopes: [],
+      metadata: { production: "false" },
+      metadataFromFile: {},
+      userData: "cloud-config.yaml",
+      startupScript: null,
+      preemptible: true,
+      preemptibleFallback: false,
+      minCliVersion: null,
+    }, this.opts.gce);
+    this.zone = this.opts.gce.zone;
     this.ensureStartedTimeout = 60 * 1000;
   }
 
@@ -24,14 +87,161 @@ class GCETestMachine extends TestMachine {
   }
 
   /**
-   * Fetches all running Google Compute Engine machines.
+   * Fetches all running Google Compute Engine machines whose names start with `prefix`.
    * @return {Promise<Array>} resolves to the current running machines.  Each includes
-   *   `{ id, name, zone, creationTimestamp }`.
+   *   `{ id, name, zone, creationTimestamp, labels }`.
   */
   getInstances() {
-    return exec(`gcloud compute instances list --regexp "${this.opts.prefix}.*" --format='json'`)
+    const prefix = this.opts.prefix.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&");
+    return this
+      .gcloud([ "compute", "instances", "list", "--filter", `name ~ ^${prefix}`, "--format", "json" ])
       .then(res => res.stdout)
-      .then(JSON.parse);
+      .then(JSON.parse)
+      .then(instances => instances.map(instance => merge({ labels: {} }, instance)));
+  }
+
+  /**
+   * Checks the local files given as metadata (and that the `cloud-config` is valid), that `gcloud` is installed, that
+   * an account is logged in, and that the project, zone and the region's instance and CPU quotas allow another machine
+   * to be created.
+   * @return {Promise<Array<TestError>>} resolves to every failed check.
+  */
+  preflight() {
+    const gce = this.opts.gce;
+    const codes = TestError.codes;
+    const files = Object.keys(gce.metadataFromFile)
+      .map(key => this.requireFile(gce.metadataFromFile[key], `Metadata file '${key}'`));
+    let region = null;
+    return this.runPreflight([
+      this.requireFile(gce.userData, "Cloud-config file"),
+      this.requireCloudConfig(gce.userData),
+      this.requireFile(gce.startupScript, "Startup script"),
+    ].concat(
+      files,
+      [
+        this.requireCli([ "gcloud", "--version" ], gce.minCliVersion),
+        () => this
+          .preflightCommand(this.gcloudArgv([ "auth", "list", "--filter=status:ACTIVE", "--format=value(account)" ]),
+            "Unable to list gcloud accounts.", codes.account)
+          .then(res => {
+            if(res.stdout.trim().length === 0) {
+              throw new TestError("No active gcloud account.  Run 'gcloud auth login'.", codes.account);
+            }
+          }),
+        () => this.checkProject(),
+        () => this
+          .preflightCommand(this.gcloudArgv([ "compute", "zones", "describe", this.zone, "--format", "json" ]),
+            `Zone '${this.zone}' isn't available.`, codes.zone)
+          .then(res => {
+            const zone = JSON.parse(res.stdout);
+            if(zone.status && zone.status !== "UP") {
+              throw new TestError(`Zone '${this.zone}' is ${zone.status}.`, codes.zone);
+            }
+            region = String(zone.region).split("/").pop();
+          }),
+        () => region ? this.checkQuota(region) : null,
+      ]
+    ));
+  }
+
+  /**
+   * A preflight check that a project is configured and can be accessed.
+   * @return {Promise} rejects with a {@link TestError} if the project can't be used.
+   * @private
+  */
+  checkProject() {
+    const codes = TestError.codes;
+    const project = this.opts.gce.project;
+    if(!project) {
+      return this
+        .preflightCommand([ "gcloud", "config", "get-value", "project" ], "Unable to read the gcloud project.",
+          codes.project)
+        .then(res => {
+          if(res.stdout.trim().length === 0) {
+            throw new TestError("No project configured.  Set 'opts.gce.project', or run 'gcloud config set project'.",
+              codes.project);
+          }
+        });
+    }
+    return this.preflightCommand(this.gcloudArgv([ "projects", "describe", project, "--format", "json" ]),
+      `Project '${project}' can't be accessed.`, codes.project);
+  }
+
+  /**
+   * A preflight check that a region has the instance and CPU quota to create another machine.
+   * @param {String} region the region to check, such as `us-east1`.
+   * @return {Promise} rejects with a {@link TestError} if a quota has been used up.
+   * @private
+  */
+  checkQuota(region) {
+    return this
+      .preflightCommand(this.gcloudArgv([ "compute", "regions", "describe", region, "--format", "json" ]),
+        `Unable to read quotas for region '${region}'.`, TestError.codes.quota)
+      .then(res => {
+        const exhausted = (JSON.parse(res.stdout).quotas || [])
+          .filter(quota => [ "INSTANCES", "CPUS" ].indexOf(quota.metric) !== -1 && quota.limit - quota.usage < 1)
+          .map(quota => `${quota.metric} (${quota.usage} of ${quota.limit} used)`);
+        if(exhausted.length > 0) {
+          throw new TestError(`Region '${region}' is out of quota: ${exhausted.join(", ")}.`, TestError.codes.quota);
+        }
+      });
+  }
+
+  /**
+   * Runs a `gcloud` command, adding `--project` if a project has been configured.
+   * @param {Array<String>} args the arguments to pass to `gcloud`.
+   * @return {Promise<Object>} resolves to `{ stdout, stderr, code }` when the command exits successfully.
+   * @private
+  */
+  gcloud(args) {
+    return this.runner.run(this.gcloudArgv(args));
+  }
+
+  /**
+   * Builds a `gcloud` command, adding `--project` if a project has been configured.
+   * @param {Array<String>} args the arguments to pass to `gcloud`.
+   * @return {Array<String>} the full command.
+   * @private
+  */
+  gcloudArgv(args) {
+    const project = this.opts.gce.project ? [ "--project", this.opts.gce.project ] : [];
+    return [ "gcloud" ].concat(args, project);
+  }
+
+  /**
+   * Formats `{ key: value }` pairs into the `key=value,key=value` form used by `gcloud` flags.
+   * @param {Object} pairs the keys and values to format.
+   * @return {String} the formatted pairs.
+   * @private
+  */
+  formatPairs(pairs) {
+    return Object.keys(pairs).map(key => `${key}=${pairs[key]}`).join(",");
+  }
+
+  /**
+   * Builds the arguments given to `gcloud compute instances create`.
+   * @param {Boolean} preemptible if `true`, creates a preemptible machine.
+   * @return {Array<String>} the arguments to `gcloud`.
+  */
+  createArgs(preemptible) {
+    const gce = this.opts.gce;
+    let args = [ "compute", "instances", "create", this._image ];
+    args = args.concat([ "--zone", this.zone, "--machine-type", gce.machineType ]);
+    if(gce.image) { args = args.concat([ "--image", gce.image ]); }
+    else { args = args.concat([ "--image-family", gce.imageFamily ]); }
+    args = args.concat([ "--image-project", gce.imageProject ]);
+    if(gce.diskSize) { args = args.concat([ "--boot-disk-size", gce.diskSize ]); }
+    if(preemptible) { args.push("--preemptible"); }
+    args = args.concat([ "--labels", this.formatPairs(merge(this.instanceLabels(), gce.labels)) ]);
+    if(gce.tags.length > 0) { args = args.concat([ "--tags", gce.tags.join(",") ]); }
+    if(gce.serviceAccount) { args = args.concat([ "--service-account", gce.serviceAccount ]); }
+    if(gce.scopes.length > 0) { args = args.concat([ "--scopes", gce.scopes.join(",") ]); }
+    if(Object.keys(gce.metadata).length > 0) { args = args.concat([ "--metadata", this.formatPairs(gce.metadata) ]); }
+    const files = merge({}, gce.metadataFromFile);
+    if(gce.userData) { files["user-data"] = gce.userData; }
+    if(gce.startupScript) { files["startup-script"] = gce.startupScript; }
+    if(Object.keys(files).length > 0) { args = args.concat([ "--metadata-from-file", this.formatPairs(files) ]); }
+    return args;
   }
 
   /**
@@ -41,58 +251,230 @@ class GCETestMachine extends TestMachine {
   createInstance() {
     this._salt = this.salt();
     this._image = `${this.opts.prefix}${this._salt}`;
-    return exec(`gcloud compute instances create "${this._image}" \
-      --image-family ubuntu-1604-lts \
-      --image-project ubuntu-os-cloud \
-      --preemptible \
-      --zone "${this.zone}" \
-      --machine-type n1-standard-1 \
-      --metadata production=false \
-      --metadata-from-file user-data=cloud-config.yaml`)
+    const gce = this.opts.gce;
+    return this
+      .gcloud(this.createArgs(gce.preemptible))
+      .catch(err => {
+        if(!gce.preemptible || !gce.preemptibleFallback) { throw err; }
+        const output = `${err.stderr || ""}\n${err.stdout || ""}`;
+        if(!PREEMPTIBLE_UNAVAILABLE.some(pattern => pattern.test(output))) { throw err; }
+        console.log("Unable to create a preemptible machine.  Creating a standard machine instead.");
+        return this.gcloud(this.createArgs(false));
+      })
       .then(() => {
         console.log("Created machine.  Ensuring SSH connection works.");
         return this.ensureStarted(this.ensureStartedTimeout);
       });
   }
 
+  /**
+   * Stops the machine and creates a Google Compute Engine image from its boot disk, in an image family.  With
+   * `deprecateOlder`, the family's other images are deprecated in favor of the new image.
+   * @param {ImageOptions} opts options for the new image.
+   * @return {Promise<Object>} resolves to `{ name, family }` of the created image.
+  */
+  createImage(opts) {
+    const name = opts.name || `${opts.family.slice(0, 49)}-${Date.now()}`;
+    const labels = {};
+    labels[TestMachine.LABELS.owner] = TestMachine.labelValue(this.opts.owner);
+    labels[TestMachine.LABELS.run] = this.runId;
+    Object.keys(opts.labels || {}).forEach(key => labels[key] = TestMachine.labelValue(opts.labels[key]));
+    return this
+      .gcloud([ "compute", "instances", "stop", this._image, "--zone", this.zone ])
+      .then(() => this.gcloud([ "compute", "images", "create", name, "--source-disk", this._image,
+        "--source-disk-zone", this.zone, "--family", opts.family, "--labels", this.formatPairs(labels) ]))
+      .then(() => opts.deprecateOlder ? this.deprecateImages(opts.family, name) : null)
+      .then(() => ({ name, family: opts.family }));
+  }
+
+  /**
+   * Deprecates every image in a family except one.
+   * @param {String} family the image family.
+   * @param {String} replacement the image to keep, which replaces the deprecated images.
+   * @return {Promise} resolves when the older images have been deprecated.
+   * @private
+  */
+  deprecateImages(family, replacement) {
+    return this
+      .gcloud([ "compute", "images", "list", "--filter", `family=${family}`, "--format", "json" ])
+      .then(res => JSON.parse(res.stdout)
+        .filter(image => image.name !== replacement)
+        .reduce((chain, image) => chain.then(() => {
+          console.log(`Deprecating image ${image.name}, replaced by ${replacement}.`);
+          return this.gcloud([ "compute", "images", "deprecate", image.name, "--state", "DEPRECATED",
+            "--replacement", replacement ]);
+        }), Promise.resolve()));
+  }
+
+  /**
+   * Describes the created machine, including its zone and project.
+   * @return {Object} the saved state, including `{ name, salt, zone, project }`.
+  */
+  toState() {
+    return merge(super.toState(), { zone: this.zone, project: this.opts.gce.project });
+  }
+
+  /**
+   * Points this object at an existing Google Compute Engine machine.
+   * @param {Object} state the saved state, from {@link GCETestMachine#toState}.
+   * @return {void}
+  */
+  restore(state) {
+    super.restore(state);
+    if(state.zone) { this.zone = state.zone; }
+    if(state.project) { this.opts.gce.project = state.project; }
+  }
+
   /**
    * Destroys the Google Compute Engine machine used for testing.
-   * @return {Promise} resolves when the machine has been destroyed.
+   * @param {Object} [opts] options for destroying the machine.
+   * @param {Boolean} [opts.background] if `true`, passes `--async` so `gcloud` returns once deletion has started.
+   * @return {Promise} resolves when the machine has been destroyed (or deletion has started).
   */
-  destroyInstance() {
+  destroyInstance(opts) {
     if(!this._image) { return Promise.resolve(); }
-    return exec(`gcloud compute instances delete "${this._image}" --zone "${this.zone}" -q`);
+    const async = opts && opts.background ? [ "--async" ] : [];
+    return this.gcloud([ "compute", "instances", "delete", this._image, "--zone", this.zone, "--quiet" ].concat(async));
+  }
+
+  /**
+   * Deletes a Google Compute Engine machine listed by {@link GCETestMachine#getInstances}.
+   * @param {Object} instance the machine to delete.
+   * @return {Promise} resolves when the machine has been deleted.
+  */
+  removeInstance(instance) {
+    const zone = String(instance.zone).split("/").pop();
+    return this.gcloud([ "compute", "instances", "delete", instance.name, "--zone", zone, "--quiet" ]);
+  }
+
+  /**
+   * Runs the startup script again, unless a `reprovisionCommand` is configured.
+   * @return {Promise<CommandResult>} resolves when provisioning has been applied.  Rejects with a {@link TestError}
+   *   if there is no startup script or `reprovisionCommand`.
+  */
+  reprovision() {
+    if(this.opts.reprovisionCommand || !this.opts.gce.startupScript) { return super.reprovision(); }
+    return this.ssh("sudo google_metadata_script_runner startup");
+  }
+
+  /**
+   * The `cloud-config` file given as `user-data`.
+   * @return {null|String} the `userData` option.
+  */
+  cloudConfig() {
+    return this.opts.gce.userData;
+  }
+
+  /**
+   * Adds the serial console output to the default collectors, which shows boot failures even if SSH never worked.
+   * @return {Array<DiagnosticCollector>} every collector this backend provides.
+   * @protected
+  */
+  diagnosticCollectors() {
+    return [ {
+      name: "serial",
+      file: "serial-port.log",
+      collect: () => this
+        .gcloud([ "compute", "instances", "get-serial-port-output", this._image, "--zone", this.zone ])
+        .then(res => res.stdout),
+    } ].concat(super.diagnosticCollectors());
+  }
+
+  /**
+   * The machine to connect to, including the user if one is configured.
+   * @return {String} the destination, such as `user@test-abc123`.
+   * @private
+  */
+  destination() {
+    return this.opts.sshUser ? `${this.opts.sshUser}@${this._image}` : this._image;
+  }
+
+  /**
+   * Runs `gcloud compute scp` against the current Google Compute Engine instance.
+   * @param {Array<String>} paths the source and destination.  The remote path should be prefixed with `:`.
+   * @param {Boolean} recursive if `true`, copies directories recursively.
+   * @return {Promise} resolves when the copy has finished.
+   * @private
+  */
+  scp(paths, recursive) {
+    const target = paths.map(p => p.indexOf(":") === 0 ? `${this.destination()}${p}` : p);
+    const args = [ "compute", "scp", "--quiet", "--zone", this.zone ];
+    return this.gcloud(args.concat(recursive ? [ "--recurse" ] : [], target));
+  }
+
+  /**
+   * Copies a local file to the current Google Compute Engine instance with `gcloud compute scp`.
+   * @param {String} localPath the file to copy.
+   * @param {String} remotePath the destination on the remote machine.
+   * @return {Promise} resolves when the file has been copied.
+  */
+  upload(localPath, remotePath) {
+    return this.scp([ localPath, `:${remotePath}` ], false);
+  }
+
+  /**
+   * Copies a file from the current Google Compute Engine instance with `gcloud compute scp`.
+   * @param {String} remotePath the file to copy from the remote machine.
+   * @param {String} localPath the local destination.
+   * @return {Promise} resolves when the file has been copied.
+  */
+  download(remotePath, localPath) {
+    return this.scp([ `:${remotePath}`, localPath ], false);
+  }
+
+  /**
+   * Recursively copies a local directory to the current Google Compute Engine instance with `gcloud compute scp`.
+   * @param {String} localPath the directory to copy.
+   * @param {String} remotePath the destination directory on the remote machine.
+   * @return {Promise} resolves when the directory has been copied.
+  */
+  uploadDirectory(localPath, remotePath) {
+    return this.scp([ localPath, `:${remotePath}` ], true);
+  }
+
+  /**
+   * Recursively copies a directory from the current Google Compute Engine instance with `gcloud compute scp`.
+   * @param {String} remotePath the directory to copy from the remote machine.
+   * @param {String} localPath the local destination directory.
+   * @return {Promise} resolves when the directory has been copied.
+  */
+  downloadDirectory(remotePath, localPath) {
+    return this.scp([ `:${remotePath}`, localPath ], true);
   }
 
   /**
    * Runs an SSH connection to the current Coogle Compute Engine instance.
    * @param {String} command a command to execute on the remote machine.  If not provided, an interactive SSH session
    *   is started.
-   * @return {Promise} resolves when the SSH connection terminates.
-   * @throws {TimeoutError} if the SSH command doesn't return within the set timeout.
-   * @todo Fix 'manual' SSH.
-  */
-  ssh(command) {
-    let machine = this._image;
-    if(this.opts.sshUser) {
-      machine = `${this.opts.sshUser}@${machine}`;
-    }
+   * @param {SSHOptions} [opts] options for running the command.
+   * @return {Promise<CommandResult>} resolves when the SSH connection terminates.  Rejects with a {@link CommandError}
+   *   if the command exits with a non-zero exit code, unless `opts.allowFailure` is set.
+  */
+  ssh(command, opts) {
+    const machine = this.destination();
     if(command) {
-      return exec(`gcloud compute ssh "${machine}" --quiet --zone "${this.zone}" --command "${command}"`);
+      const args = [ "compute", "ssh", machine, "--quiet", "--zone", this.zone, "--command", command ];
+      return this.remote(command, this.gcloudArgv(args), opts);
     }
-    else {
-      console.log(`Run 'gcloud compute ssh "${machine}" --zone "${this.zone}'.`);
-      const rl = require("readline").createInterface({ input: process.stdin, output: process.stdout });
-      const askQuestion = (text) => new Promise(resolve => rl.question(text, resolve));
-      return askQuestion("Press <enter> to continue. ")
-        .then(() => {
-          rl.close();
-        });
-      /*const spawned = spawn(`gcloud compute ssh "${this._image}" --zone "${this.zone}"`, {
-        stdio: "pipe",
+    return this.runner.interactive(this.gcloudArgv([ "compute", "ssh", machine, "--zone", this.zone ]));
+  }
+
+  /**
+   * Forwards a local port to a port on the current Google Compute Engine instance with `gcloud compute ssh -- -L`.
+   * @param {Number} remotePort the port on the machine.
+   * @param {Object} [opts] options for the forward.
+   * @param {Number} [opts.localPort] the local port to listen on.  Defaults to a free port.
+   * @return {Promise<Number>} resolves to the local port once it accepts connections.
+  */
+  forward(remotePort, opts) {
+    return this
+      .localPort(opts)
+      .then(localPort => {
+        const argv = this
+          .gcloudArgv([ "compute", "ssh", this.destination(), "--quiet", "--zone", this.zone ])
+          .concat([ "--", "-N", "-o", "ExitOnForwardFailure=yes", "-L", `${localPort}:localhost:${remotePort}` ]);
+        return this.tunnel(argv, localPort, remotePort);
       });
-      return spawned;*/
-    }
   }
 
 }
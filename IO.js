@@ -7,7 +7,20 @@ const chalk = require("chalk");
 */
 class IO {
 
-  constructor() {
+  /**
+   * @param {Object} [opts] options to configure input.
+   * @param {Object} [opts.answers] pre-set answers to questions, keyed by the question's `key` (or its text).  Values
+   *   are `"Y"`, `"N"`, `true` or `false`.
+   * @param {Boolean} [opts.assumeYes] if `true`, answers "yes" to every question without a pre-set answer, instead of
+   *   prompting.
+   * @param {Array<String>} [opts.interactiveKeys] keys of questions that `assumeYes` doesn't apply to, because
+   *   answering "yes" would start an interactive session.
+  */
+  constructor(opts) {
+    opts = opts || {};
+    this.answers = opts.answers || {};
+    this.assumeYes = !!opts.assumeYes;
+    this.interactiveKeys = opts.interactiveKeys || [];
     this.yesRegex = /^([yY][eE][sS]|[yY])+$/;
     this.isCI = typeof process.env.CI !== "undefined";
     this.statusFormat = chalk.magenta;
@@ -44,6 +57,7 @@ class IO {
    * @param {String} question the text of the question to ask the user.
    * @param {String} consoleDefault the default input if the user doesn't provide input.  Use `"Y"` or `"N"`.
    * @param {String} ciDefault the default input to use in CI.  Use `"Y"` or `"N"`.
+   * @param {String} [key] a short identifier for the question, used to look up pre-set answers.
    * @return {Promise<Boolean>} `true` if the user answered "yes", `false` if the user answered "no".
    * @example <caption>Basic Usage</caption>
    * const io = new IO();
@@ -51,11 +65,13 @@ class IO {
    *    .yesNo("Use current directory, instead of '/var/my-app/'?", "Y", "N")
    *    .then(answer => console.log(answer ? "Using current directory." : "Using '/var/my-app/'."));
   */
-  yesNo(question, consoleDefault, ciDefault) {
-    if(this.isCI) {
-      const {y, n} = this.formatYesNo(ciDefault);
-      console.log(this.questionFormat(`${question} (${y}/${n}) `) + this.ciAnswerFormat(ciDefault.toUpperCase()));
-      return Promise.resolve(this.yesRegex.test(ciDefault));
+  yesNo(question, consoleDefault, ciDefault, key) {
+    const preset = this.presetAnswer(question, key);
+    if(preset !== null || this.isCI) {
+      const answer = preset !== null ? preset : ciDefault;
+      const {y, n} = this.formatYesNo(answer);
+      console.log(this.questionFormat(`${question} (${y}/${n}) `) + this.ciAnswerFormat(answer.toUpperCase()));
+      return Promise.resolve(this.yesRegex.test(answer));
     }
     else {
       this.bell();
@@ -71,6 +87,27 @@ class IO {
     }
   }
 
+  /**
+   * Finds a pre-set answer to a question, from `answers` or `assumeYes`.
+   * @param {String} question the text of the question.
+   * @param {String} [key] a short identifier for the question.
+   * @return {null|String} `"Y"` or `"N"`, or `null` if the user should be asked.
+   * @private
+  */
+  presetAnswer(question, key) {
+    let answer;
+    if(key && typeof this.answers[key] !== "undefined") {
+      answer = this.answers[key];
+      // Only answer "yes" to starting an interactive session once, so the session isn't restarted forever.
+      if(this.interactiveKeys.indexOf(key) !== -1) { delete this.answers[key]; }
+    }
+    else if(typeof this.answers[question] !== "undefined") { answer = this.answers[question]; }
+    else if(this.assumeYes && this.interactiveKeys.indexOf(key) === -1) { answer = true; }
+    else { return null; }
+    if(typeof answer === "boolean") { return answer ? "Y" : "N"; }
+    return this.yesRegex.test(String(answer).trim()) ? "Y" : "N";
+  }
+
   /**
    * Provides the format for the "Y/N" prompt.
    * @param {String} defaultVal the default value for the question.
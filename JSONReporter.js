@@ -0,0 +1,92 @@
+const Reporter = require("./Reporter");
+
+/**
+ * Writes the full tree of sections and tests as JSON.
+*/
+class JSONReporter extends Reporter {
+
+  /**
+   * @param {Object} [opts] options for the reporter.
+   * @param {String} [opts.file] the file to write the JSON to.  Defaults to standard output.
+  */
+  constructor(opts) {
+    super();
+    opts = opts || {};
+    this.file = opts.file || null;
+  }
+
+  /**
+   * Converts a section into plain data.
+   * @param {SectionResult} section the section to convert.
+   * @return {Object} the section, without references to parent sections.
+   * @private
+  */
+  section(section) {
+    return {
+      name: section.name,
+      duration: section.duration,
+      stats: Reporter.count(section),
+      error: section.error ? this.error(section.error) : null,
+      bypassed: section.bypassed.map(code => String(code)),
+      tests: section.tests.map(test => ({
+        name: test.name,
+        state: test.state,
+        duration: test.duration,
+        reason: test.reason,
+        error: test.error ? this.error(test.error) : null,
+      })),
+      sections: section.sections.map(child => this.section(child)),
+    };
+  }
+
+  /**
+   * Converts an error into plain data.
+   * @param {Error} err the error to convert.
+   * @return {Object} `{ name, message, stack, command }`.  `command` is the failed command's result, if available.
+   * @private
+  */
+  error(err) {
+    const result = err.result || null;
+    return {
+      name: err.name,
+      message: err.message || String(err),
+      stack: err.stack,
+      command: result ? {
+        command: result.command,
+        exitCode: result.exitCode,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        duration: result.duration,
+      } : null,
+    };
+  }
+
+  /**
+   * Writes the JSON report.
+   * @param {SectionResult} root the root section, containing every section and test.
+   * @return {Promise} resolves when the report has been written.
+  */
+  end(root) {
+    return Reporter.write(this.file, `${JSON.stringify(this.section(root), null, 2)}\n`);
+  }
+
+  /**
+   * Checks if this reporter writes to standard output.
+   * @return {Boolean} `true` if no `file` was given.
+  */
+  usesStdout() {
+    return !this.file;
+  }
+
+  /**
+   * Reports a configuration of a `matrix` run to its own file, named after the configuration.
+   * @param {String} name the name of the configuration.
+   * @return {null|JSONReporter} the reporter for the configuration, or `null` if writing to standard output.
+  */
+  forConfiguration(name) {
+    return this.file ? new JSONReporter({ file: Reporter.configurationFile(this.file, name) }) : null;
+  }
+
+}
+
+module.exports = JSONReporter;
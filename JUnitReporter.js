@@ -0,0 +1,130 @@
+const Reporter = require("./Reporter");
+
+/**
+ * Writes test results as JUnit XML, which most CI servers can display per test.  Each section becomes a
+ * `<testsuite>`, and bypasses are reported as skipped test cases.
+*/
+class JUnitReporter extends Reporter {
+
+  /**
+   * @param {Object} [opts] options for the reporter.
+   * @param {String} [opts.file] the file to write the XML to.  Defaults to standard output.
+   * @param {String} [opts.name] the name of the top-level `<testsuites>`.  Defaults to `cloud-machine-testing`.
+  */
+  constructor(opts) {
+    super();
+    opts = opts || {};
+    this.file = opts.file || null;
+    this.name = opts.name || "cloud-machine-testing";
+  }
+
+  /**
+   * Escapes text for use in XML attributes and content.
+   * @param {Any} text the text to escape.
+   * @return {String} the escaped text.
+   * @private
+  */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+  }
+
+  /**
+   * Formats a duration in seconds, as used by JUnit.
+   * @param {Number} ms the duration in milliseconds.
+   * @return {String} the duration in seconds.
+   * @private
+  */
+  seconds(ms) {
+    return (ms / 1000).toFixed(3);
+  }
+
+  /**
+   * Collects every section that directly contains tests or bypasses.
+   * @param {SectionResult} section the section to start from.
+   * @return {Array<SectionResult>} the section and its descendants that contain results.
+   * @private
+  */
+  suites(section) {
+    const own = section.tests.length > 0 || section.bypassed.length > 0 || section.error ? [ section ] : [];
+    return section.sections.reduce((all, child) => all.concat(this.suites(child)), own);
+  }
+
+  /**
+   * Formats a section as a `<testsuite>`.
+   * @param {SectionResult} section the section to format.
+   * @return {String} the XML for the section.
+   * @private
+  */
+  suite(section) {
+    const name = this.escape(Reporter.sectionPath(section).join(" > ") || "(root)");
+    const failures = section.tests.filter(t => t.state === "failed").length;
+    const errors = section.error ? 1 : 0;
+    const skipped = section.tests.filter(t => t.state === "skipped").length + section.bypassed.length;
+    const total = section.tests.length + section.bypassed.length + errors;
+    const cases = section.tests.map(test => {
+      const time = this.seconds(test.duration);
+      const open = `    <testcase classname="${name}" name="${this.escape(test.name)}" time="${time}"`;
+      if(test.state === "failed") {
+        const type = this.escape(test.error && test.error.name ? test.error.name : "Error");
+        const message = this.escape(test.error && test.error.message ? test.error.message : test.error);
+        return `${open}>\n      <failure type="${type}" message="${message}">` +
+          `${this.escape(Reporter.describeError(test.error))}</failure>\n    </testcase>`;
+      }
+      if(test.state === "skipped") {
+        const message = test.reason ? ` message="${this.escape(test.reason)}"` : "";
+        return `${open}>\n      <skipped${message}/>\n    </testcase>`;
+      }
+      return `${open}/>`;
+    });
+    section.bypassed.forEach(code => {
+      const title = this.escape(`Tests bypassed by '${code}'`);
+      cases.push(`    <testcase classname="${name}" name="${title}" time="0.000">\n      <skipped/>\n    </testcase>`);
+    });
+    if(section.error) {
+      cases.push(`    <testcase classname="${name}" name="(section error)" time="0.000">\n` +
+        `      <error type="${this.escape(section.error.name || "Error")}" ` +
+        `message="${this.escape(section.error.message || section.error)}">` +
+        `${this.escape(Reporter.describeError(section.error))}</error>\n    </testcase>`);
+    }
+    return `  <testsuite name="${name}" tests="${total}" failures="${failures}" errors="${errors}" ` +
+      `skipped="${skipped}" time="${this.seconds(section.duration)}">\n${cases.join("\n")}\n  </testsuite>`;
+  }
+
+  /**
+   * Writes the XML report.
+   * @param {SectionResult} root the root section, containing every section and test.
+   * @return {Promise} resolves when the report has been written.
+  */
+  end(root) {
+    const suites = this.suites(root).map(section => this.suite(section));
+    const xml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+      `<testsuites name="${this.escape(this.name)}">\n${suites.join("\n")}\n</testsuites>\n`;
+    return Reporter.write(this.file, xml);
+  }
+
+  /**
+   * Checks if this reporter writes to standard output.
+   * @return {Boolean} `true` if no `file` was given.
+  */
+  usesStdout() {
+    return !this.file;
+  }
+
+  /**
+   * Reports a configuration of a `matrix` run to its own file, named after the configuration.
+   * @param {String} name the name of the configuration.
+   * @return {null|JUnitReporter} the reporter for the configuration, or `null` if writing to standard output.
+  */
+  forConfiguration(name) {
+    if(!this.file) { return null; }
+    return new JUnitReporter({ file: Reporter.configurationFile(this.file, name), name: `${this.name} ${name}` });
+  }
+
+}
+
+module.exports = JUnitReporter;
@@ -0,0 +1,96 @@
+const CommandRunner = require("./CommandRunner");
+
+/**
+ * @typedef {Object} SnapshotOptions
+ * @property {Array<String>} paths directories whose files are checksummed to detect changed files.  Defaults to
+ *   `["/etc"]`.
+ * @property {Array<RegExp>} ignore lines of the snapshot to leave out, such as files that change on their own.
+ *   Defaults to a few files under `/etc` that are rewritten at runtime, like `/etc/resolv.conf`.
+*/
+
+/**
+ * The commands that capture each part of a snapshot.  Each prints one line per item.
+ * @type {Object}
+*/
+const COMMANDS = {
+  packages: "dpkg-query -W -f='${Package} ${Version}\\n' 2>/dev/null || rpm -qa 2>/dev/null || apk info -v 2>/dev/null",
+  services: "systemctl list-unit-files --state=enabled --no-legend --no-pager 2>/dev/null",
+  users: "getent passwd | cut -d: -f1,3,6,7",
+};
+
+/**
+ * Captures the state of a machine (installed packages, enabled services, users and the checksums of configuration
+ * files) so it can be compared before and after an action, such as applying provisioning a second time.
+ * @example <caption>Checking that a command changes nothing</caption>
+ * let before;
+ * MachineSnapshot.capture(machine)
+ *   .then(snapshot => before = snapshot)
+ *   .then(() => machine.ssh("sudo /opt/provision.sh"))
+ *   .then(() => MachineSnapshot.capture(machine))
+ *   .then(after => console.log(MachineSnapshot.diff(before, after)));
+*/
+class MachineSnapshot {
+
+  /**
+   * @param {Object} parts the lines captured for each part, such as `{ packages: ["nginx 1.10.3"] }`.
+  */
+  constructor(parts) {
+    this.parts = parts;
+  }
+
+  /**
+   * Captures the state of a machine.
+   * @param {TestMachine} machine the machine to capture.
+   * @param {SnapshotOptions} [opts] options for the snapshot.
+   * @return {Promise<MachineSnapshot>} resolves to the captured state.
+  */
+  static capture(machine, opts) {
+    opts = opts || {};
+    const paths = (opts.paths || [ "/etc" ]).map(path => CommandRunner.quote(path)).join(" ");
+    const ignore = opts.ignore || [ /\/etc\/(ld\.so\.cache|mtab|resolv\.conf|adjtime|machine-id)$/ ];
+    const commands = Object.assign({}, COMMANDS, {
+      files: `sudo find ${paths} -xdev -type f -exec md5sum {} + 2>/dev/null | sort -k 2`,
+    });
+    const parts = {};
+    return Object.keys(commands)
+      .reduce((chain, part) => chain
+        .then(() => machine.ssh(commands[part], { allowFailure: true }))
+        .then(res => {
+          parts[part] = res.stdout
+            .split("\n")
+            .filter(line => line.length > 0 && !ignore.some(pattern => pattern.test(line)))
+            .sort();
+        }), Promise.resolve())
+      .then(() => new MachineSnapshot(parts));
+  }
+
+  /**
+   * Compares two snapshots.
+   * @param {MachineSnapshot} before the earlier snapshot.
+   * @param {MachineSnapshot} after the later snapshot.
+   * @return {Object} `{ added, removed }` lines for each part that changed, such as
+   *   `{ packages: { added: ["nginx 1.10.3"], removed: [] } }`.  Empty if nothing changed.
+  */
+  static diff(before, after) {
+    const changes = {};
+    Object.keys(after.parts).forEach(part => {
+      const old = before.parts[part] || [];
+      const added = after.parts[part].filter(line => old.indexOf(line) === -1);
+      const removed = old.filter(line => after.parts[part].indexOf(line) === -1);
+      if(added.length > 0 || removed.length > 0) { changes[part] = { added, removed }; }
+    });
+    return changes;
+  }
+
+  /**
+   * Formats the changes to one part of a snapshot, like a unified diff.
+   * @param {Object} change `{ added, removed }` from {@link MachineSnapshot.diff}.
+   * @return {String} a line for each removed (`-`) and added (`+`) item.
+  */
+  static formatChange(change) {
+    return change.removed.map(line => `- ${line}`).concat(change.added.map(line => `+ ${line}`)).join("\n");
+  }
+
+}
+
+module.exports = MachineSnapshot;
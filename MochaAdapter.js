@@ -0,0 +1,92 @@
+/**
+ * Exposes the results of a {@link CloudMachineTest} as Mocha suites, so teams can run machine tests with their
+ * existing runner and reporters.  The machine test runs first, without exiting, then each section of its test output
+ * becomes a `describe` block, and each test an `it` that replays the recorded outcome.  Failed phases (such as
+ * `setup`) are reported as failing tests.
+ *
+ * Mocha must be started with `--delay`, so it waits for the suites to be defined.
+ * @example <caption>test/machine.js, run with `mocha --delay test/machine.js`</caption>
+ * const MochaAdapter = require("@rweda/cloud-machine-testing/MochaAdapter");
+ * const MyMachineTest = require("../MyMachineTest");
+ *
+ * new MochaAdapter(new MyMachineTest()).run();
+*/
+class MochaAdapter {
+
+  /**
+   * @param {CloudMachineTest} test the test to run.  Its `exit` is set to `false`.
+   * @param {Object} [opts] options for the adapter.  Mocha's interface defaults to the globals defined by Mocha.
+   * @param {String} [opts.name] the name of the top-level suite.  Defaults to the name of the test's class.
+   * @param {Function} [opts.describe] defines a suite.
+   * @param {Function} [opts.it] defines a test.  `it.skip` is used for skipped tests.
+   * @param {Function} [opts.run] starts Mocha once the suites are defined.  Defaults to the global `run` that Mocha
+   *   defines with `--delay`.
+  */
+  constructor(test, opts) {
+    opts = opts || {};
+    this.test = test;
+    this.name = opts.name || test.constructor.name;
+    this.describe = opts.describe || global.describe;
+    this.it = opts.it || global.it;
+    this.start = opts.run || global.run;
+  }
+
+  /**
+   * Runs the machine test, defines the Mocha suites from its results, and starts Mocha.
+   * @return {Promise<RunResult>} resolves to the result of the machine test, once the suites have been defined.
+  */
+  run() {
+    this.test.exit = false;
+    return this.test
+      .test()
+      .then(result => {
+        this.define(result);
+        this.start();
+        return result;
+      }, err => {
+        this.describe(this.name, () => this.it("runs", () => { throw err; }));
+        this.start();
+        throw err;
+      });
+  }
+
+  /**
+   * Defines the Mocha suites for the result of a machine test.
+   * @param {RunResult} result the result of {@link CloudMachineTest#test}.
+   * @return {void}
+  */
+  define(result) {
+    this.describe(this.name, () => {
+      result.phases
+        .filter(phase => phase.state === "failed")
+        .forEach(phase => this.it(`${phase.name} phase`, () => { throw phase.error; }));
+      if(result.matrix) {
+        result.matrix.forEach(config => this.describe(config.name, () => this.defineSection(config.tests)));
+      }
+      else {
+        this.defineSection(result.tests);
+      }
+    });
+  }
+
+  /**
+   * Defines the tests in a section, and a suite for each nested section.
+   * @param {SectionResult} section the section to define.
+   * @return {void}
+   * @private
+  */
+  defineSection(section) {
+    if(section.error) {
+      this.it("runs without errors", () => { throw section.error; });
+    }
+    section.tests.forEach(test => {
+      if(test.state === "skipped") { this.it.skip(test.name); }
+      else if(test.state === "failed") { this.it(test.name, () => { throw test.error; }); }
+      else { this.it(test.name, () => true); }
+    });
+    section.sections.forEach(child => this.describe(child.name, () => this.defineSection(child)));
+  }
+
+}
+
+module.exports = MochaAdapter;
@@ -0,0 +1,75 @@
+const CommandRunner = require("./CommandRunner");
+const Resource = require("./Resource");
+
+/**
+ * A system package on a {@link TestMachine}.  Uses `dpkg` if available, otherwise `rpm`.  Create with
+ * {@link TestMachine#package}.
+ * @example <caption>Checking a package version</caption>
+ * out.it("should install nginx 1.10", () => machine.package("nginx").shouldBeInstalled(/^1\.10\./));
+*/
+class PackageResource extends Resource {
+
+  /**
+   * @param {TestMachine} machine the machine the package is on.
+   * @param {String} name the name of the package.
+  */
+  constructor(machine, name) {
+    super(machine, "package", name);
+    this.quoted = CommandRunner.quote(name);
+  }
+
+  /**
+   * Fetches the installed version of the package.
+   * @return {Promise<null|String>} resolves to the version, or `null` if the package isn't installed.
+  */
+  version() {
+    return this
+      .run([
+        "if command -v dpkg-query >/dev/null 2>&1;",
+        `then dpkg-query -W -f='\${Status}|\${Version}' ${this.quoted};`,
+        `else rpm -q --qf 'install ok installed|%{VERSION}-%{RELEASE}' ${this.quoted};`,
+        "fi",
+      ].join(" "))
+      .then(res => {
+        if(!res.success) { return null; }
+        const [ status, version ] = res.stdout.split("|");
+        return / installed$/.test(status) ? version : null;
+      });
+  }
+
+  /**
+   * Checks if the package is installed.
+   * @return {Promise<Boolean>} resolves to `true` if the package is installed.
+  */
+  isInstalled() {
+    return this.version().then(version => version !== null);
+  }
+
+  /**
+   * Asserts that the package is installed, and optionally checks its version.
+   * @param {String|RegExp} [version] the exact version, or a pattern the version should match.
+   * @return {Promise} rejects with an `AssertionError` if the package isn't installed, or has a different version.
+  */
+  shouldBeInstalled(version) {
+    return this
+      .version()
+      .then(actual => {
+        this.check(actual !== null, "to be installed");
+        if(typeof version !== "undefined") {
+          this.check(this.matches(actual, version), `to have version ${version}`, actual, version);
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Asserts that the package isn't installed.
+   * @return {Promise} rejects with an `AssertionError` if the package is installed.
+  */
+  shouldNotBeInstalled() {
+    return this.version().then(actual => this.check(actual === null, "not to be installed", actual));
+  }
+
+}
+
+module.exports = PackageResource;
@@ -0,0 +1,59 @@
+const Resource = require("./Resource");
+
+/**
+ * A network port on a {@link TestMachine}.  Create with {@link TestMachine#port}.
+ * @example <caption>Checking that a web server is listening</caption>
+ * out.it("should listen for HTTP", () => machine.port(80).shouldBeListening());
+*/
+class PortResource extends Resource {
+
+  /**
+   * @param {TestMachine} machine the machine the port is on.
+   * @param {Number} port the port number.
+   * @param {String} [protocol] either `"tcp"` or `"udp"`.  Defaults to `"tcp"`.
+  */
+  constructor(machine, port, protocol) {
+    protocol = protocol || "tcp";
+    super(machine, `${protocol} port`, String(port));
+    this.port = parseInt(port, 10);
+    this.protocol = protocol;
+  }
+
+  /**
+   * Describes this port for failure messages.
+   * @return {String} a description, such as `tcp port 80`.
+  */
+  describe() {
+    return `${this.type} ${this.port}`;
+  }
+
+  /**
+   * Checks if any process is listening on the port.  Uses `ss`, falling back to `netstat`.
+   * @return {Promise<Boolean>} resolves to `true` if the port is listening.
+  */
+  isListening() {
+    const flags = this.protocol === "udp" ? "-lnu" : "-lnt";
+    return this
+      .run(`(ss ${flags} 2>/dev/null || netstat ${flags}) | awk '{print $4}' | grep -Eq '[:.]${this.port}$'`)
+      .then(res => res.success);
+  }
+
+  /**
+   * Asserts that a process is listening on the port.
+   * @return {Promise} rejects with an `AssertionError` if the port isn't listening.
+  */
+  shouldBeListening() {
+    return this.isListening().then(listening => this.check(listening, "to be listening"));
+  }
+
+  /**
+   * Asserts that no process is listening on the port.
+   * @return {Promise} rejects with an `AssertionError` if the port is listening.
+  */
+  shouldNotBeListening() {
+    return this.isListening().then(listening => this.check(!listening, "not to be listening"));
+  }
+
+}
+
+module.exports = PortResource;
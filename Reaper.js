@@ -0,0 +1,112 @@
+const TestMachine = require("./TestMachine");
+
+/**
+ * @typedef {Object} ReaperOptions
+ * @property {Boolean} dryRun if `true`, lists the machines that would be destroyed without destroying them.  Defaults
+ *   to `false`.
+ * @property {Number} maxAge the age after which machines without an expiry label (such as those created by older
+ *   versions) are destroyed, in milliseconds.  Defaults to 4 hours.
+ * @property {Array<String>} kept the names of machines that were deliberately kept (such as those recorded in a
+ *   {@link RunState} file).  They are only destroyed once they expire, not when their owning run exits.
+*/
+
+/**
+ * Finds and destroys runaway machines: machines past the expiry recorded in their labels, machines whose owning run
+ * (on this host) has exited, and unlabelled machines older than `maxAge`.  Machines created by the current run are
+ * never destroyed.
+ * @example <caption>Listing runaway machines without destroying them</caption>
+ * new Reaper(new GCETestMachine(), { dryRun: true }).reap();
+*/
+class Reaper {
+
+  /**
+   * @param {TestMachine} machine the backend used to list and destroy machines.
+   * @param {ReaperOptions} [opts] options to configure the reaper.
+  */
+  constructor(machine, opts) {
+    opts = opts || {};
+    this.machine = machine;
+    this.dryRun = !!opts.dryRun;
+    this.maxAge = opts.maxAge || 4 * 60 * 60 * 1000;
+    this.kept = opts.kept || [];
+  }
+
+  /**
+   * Checks if a process is running on this host.
+   * @param {Number} pid the process ID.
+   * @return {Boolean} `true` if the process exists.
+  */
+  static isRunning(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    }
+    catch (err) {
+      return err.code === "EPERM";
+    }
+  }
+
+  /**
+   * Determines why a machine should be destroyed.
+   * @param {Object} instance a machine listed by {@link TestMachine#getInstances}.
+   * @param {Date} now the current time.
+   * @return {null|String} the reason to destroy the machine, or `null` if it should be kept.
+  */
+  reason(instance, now) {
+    const labels = instance.labels || {};
+    const LABELS = TestMachine.LABELS;
+    const runId = labels[LABELS.run];
+    if(runId && runId === this.machine.runId) { return null; }
+    if(labels[LABELS.expires]) {
+      const expires = new Date(parseInt(labels[LABELS.expires], 10) * 1000);
+      if(expires < now) { return `expired at ${expires.toISOString()}`; }
+    }
+    else if(now - new Date(instance.creationTimestamp) > this.maxAge) {
+      return `created at ${instance.creationTimestamp}, and has no expiry`;
+    }
+    if(this.kept.indexOf(instance.name) !== -1) { return null; }
+    const pid = runId ? parseInt(runId.split("-").pop(), 10) : NaN;
+    if(!isNaN(pid) && TestMachine.runId(pid) === runId && !Reaper.isRunning(pid)) {
+      return `owning run ${runId} has exited`;
+    }
+    return null;
+  }
+
+  /**
+   * Lists the machines that should be destroyed.
+   * @return {Promise<Array<Object>>} resolves to `{ instance, reason }` for each runaway machine.
+  */
+  find() {
+    const now = new Date();
+    return this.machine
+      .getInstances()
+      .then(instances => instances
+        .map(instance => ({ instance, reason: this.reason(instance, now) }))
+        .filter(runaway => runaway.reason !== null));
+  }
+
+  /**
+   * Destroys every runaway machine, one at a time.  If `dryRun` is set, only lists them.
+   * @return {Promise<Array<Object>>} resolves to `{ instance, reason }` for each runaway machine found.
+  */
+  reap() {
+    return this
+      .find()
+      .then(runaways => {
+        console.log(`Found ${runaways.length} runaway machine instances.`);
+        return runaways.reduce((chain, runaway) => chain.then(() => {
+          const owner = (runaway.instance.labels || {})[TestMachine.LABELS.owner] || "unknown owner";
+          const desc = `${runaway.instance.name} (${owner}): ${runaway.reason}`;
+          if(this.dryRun) {
+            console.log(`Would destroy ${desc}`);
+            return;
+          }
+          console.log(`Destroying ${desc}`);
+          return this.machine.removeInstance(runaway.instance);
+        }), Promise.resolve()).then(() => runaways);
+      });
+  }
+
+}
+
+module.exports = Reaper;
@@ -0,0 +1,120 @@
+const EventEmitter = require("events");
+const CommandRunner = require("./CommandRunner");
+
+/**
+ * @typedef {Object} ReplayResponse
+ * @property {Array<String>} [argv] matches a command with exactly these arguments.
+ * @property {RegExp|Function} [match] matches a command if the RegExp matches the escaped command string, or if the
+ *   function returns `true` when given the `argv` array.  Used if `argv` isn't given.
+ * @property {String} [stdout] the output the command prints.  Defaults to an empty string.
+ * @property {String} [stderr] the error output the command prints.  Defaults to an empty string.
+ * @property {Number} [code] the exit code of the command.  Defaults to `0`.
+ * @property {Boolean} [repeat] if `true`, the response can be used for any number of commands.  Otherwise, it is only
+ *   used once.
+*/
+
+/**
+ * A fake {@link CommandRunner} that replays canned responses instead of running commands, and records every command
+ * it is given in `calls`.  Responses can be written by hand, or taken from the `history` of a recording
+ * {@link CommandRunner}.
+ * @example <caption>Testing a backend without `gcloud` installed</caption>
+ * const runner = new ReplayCommandRunner([
+ *   { match: /^gcloud compute instances create/ },
+ *   { match: /^gcloud compute ssh/, stdout: "Test\n", repeat: true },
+ * ]);
+ * const machine = new GCETestMachine({ runner });
+ * machine
+ *   .createInstance()
+ *   .then(() => console.log(runner.calls));
+*/
+class ReplayCommandRunner extends CommandRunner {
+
+  /**
+   * @param {Array<ReplayResponse>} responses the responses to replay.
+  */
+  constructor(responses) {
+    super();
+    this.responses = (responses || []).map(response => Object.assign({ used: false }, response));
+    this.calls = [];
+  }
+
+  /**
+   * Finds the first unused response that matches a command.
+   * @param {Array<String>} argv the command being run.
+   * @return {null|ReplayResponse} the matching response, or `null` if none match.
+   * @private
+  */
+  find(argv) {
+    const command = CommandRunner.join(argv);
+    for(const response of this.responses) {
+      if(response.used) { continue; }
+      let matches;
+      if(response.argv) { matches = CommandRunner.join(response.argv) === command; }
+      else if(typeof response.match === "function") { matches = response.match(argv); }
+      else if(response.match) { matches = response.match.test(command); }
+      else { matches = true; }
+      if(matches) {
+        if(!response.repeat) { response.used = true; }
+        return response;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replays the response for a command.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @return {Promise<Object>} resolves to `{ stdout, stderr, code }` if the response has an exit code of `0`.  Rejects
+   *   with an error including `code`, `stdout` and `stderr` otherwise, or if no response matches.
+  */
+  run(argv) {
+    this.calls.push(argv.slice());
+    const response = this.find(argv);
+    if(!response) {
+      return Promise.reject(new Error(`No recorded response for \`${CommandRunner.join(argv)}\``));
+    }
+    const result = { stdout: response.stdout || "", stderr: response.stderr || "", code: response.code || 0 };
+    if(result.code !== 0) {
+      const err = new Error(`\`${argv.join(" ")}\` failed with code ${result.code}`);
+      err.name = "ChildProcessError";
+      return Promise.reject(Object.assign(err, result));
+    }
+    return Promise.resolve(result);
+  }
+
+  /**
+   * Records a long-running command.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @return {EventEmitter} a stand-in for the process, which emits `exit` when `kill` is called.
+  */
+  start(argv) {
+    this.calls.push(argv.slice());
+    const child = new EventEmitter();
+    child.stderrText = "";
+    child.kill = () => child.emit("exit", null, "SIGTERM");
+    return child;
+  }
+
+  /**
+   * Records a background command, which always starts successfully.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @return {Promise} resolves immediately.
+  */
+  detached(argv) {
+    this.calls.push(argv.slice());
+    return Promise.resolve({ stdout: "", stderr: "", code: null });
+  }
+
+  /**
+   * Records an interactive command, which always succeeds.
+   * @param {Array<String>} argv the command to run, followed by its arguments.
+   * @return {Promise} resolves immediately.
+  */
+  interactive(argv) {
+    this.calls.push(argv.slice());
+    return Promise.resolve({ code: 0 });
+  }
+
+}
+
+module.exports = ReplayCommandRunner;
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {Object} SectionResult
+ * @property {null|String} name the name of the section.  `null` for the root section containing all others.
+ * @property {null|SectionResult} parent the section containing this section.
+ * @property {Number} depth the nesting depth of the section.  The root section has a depth of `0`.
+ * @property {Array<SectionResult>} sections sections nested inside this section.
+ * @property {Array<TestResult>} tests the tests run directly inside this section.
+ * @property {Array<Any>} bypassed the codes of bypasses that skipped tests in this section.
+ * @property {null|Error} error an error that ended the section early.
+ * @property {Date} started when the section started.
+ * @property {Number} duration the time the section took, in milliseconds.
+*/
+
+/**
+ * @typedef {Object} TestResult
+ * @property {String} name the name of the test.
+ * @property {SectionResult} section the section the test ran in.
+ * @property {String} state either `"passed"`, `"failed"` or `"skipped"`.
+ * @property {Number} duration the time the test took, in milliseconds.
+ * @property {null|Error} error the error that failed the test.
+ * @property {null|String} reason why a skipped test wasn't run.
+*/
+
+/**
+ * Receives the progress of {@link FormatTestOutput} tests.  Extend and override the methods for events to report.
+ * Several reporters can be given to {@link FormatTestOutput} at once.
+*/
+class Reporter {
+
+  /*eslint-disable no-unused-vars*/
+  /**
+   * Called when a section starts.
+   * @param {SectionResult} section the section that started.
+   * @return {void}
+  */
+  sectionStart(section) {
+    // Not reported by default.
+  }
+
+  /**
+   * Called when a section ends, after all of its tests.
+   * @param {SectionResult} section the section that ended.
+   * @return {void}
+  */
+  sectionEnd(section) {
+    // Not reported by default.
+  }
+
+  /**
+   * Called when an error ends a section early.
+   * @param {SectionResult} section the section that failed.
+   * @param {Error} err the error that ended the section.
+   * @return {void}
+  */
+  sectionError(section, err) {
+    // Not reported by default.
+  }
+
+  /**
+   * Called when a test passes.
+   * @param {TestResult} test the test that passed.
+   * @return {void}
+  */
+  testPass(test) {
+    // Not reported by default.
+  }
+
+  /**
+   * Called when a test fails.
+   * @param {TestResult} test the test that failed.
+   * @param {Error} err the error that failed the test.
+   * @return {void}
+  */
+  testFail(test, err) {
+    // Not reported by default.
+  }
+
+  /**
+   * Called when a test is skipped.
+   * @param {TestResult} test the test that was skipped.
+   * @return {void}
+  */
+  testSkip(test) {
+    // Not reported by default.
+  }
+
+  /**
+   * Called when {@link FormatTestOutput#resumeBypass} resumes after bypassing tests.
+   * @param {SectionResult} section the section the bypass ended in.
+   * @param {Any} code the code of the bypass.
+   * @return {void}
+  */
+  bypass(section, code) {
+    // Not reported by default.
+  }
+
+  /**
+   * Called when testing is finished.
+   * @param {SectionResult} root the root section, containing every section and test.
+   * @return {Promise|void} a `Promise` if the reporter finishes asynchronously, such as when writing to a file.
+  */
+  end(root) {
+    // Not reported by default.
+  }
+
+  /**
+   * Creates a reporter for one configuration of a `matrix` run, so each configuration is reported separately.
+   * @param {String} name the name of the configuration.
+   * @return {null|Reporter} the reporter for the configuration, or `null` if this reporter can't report
+   *   configurations separately.
+  */
+  forConfiguration(name) {
+    return null;
+  }
+  /*eslint-enable no-unused-vars*/
+
+  /**
+   * Checks if this reporter writes to standard output, where its output would be mixed with any other reporter that
+   * does.
+   * @return {Boolean} `true` if the reporter writes to standard output.
+  */
+  usesStdout() {
+    return false;
+  }
+
+  /**
+   * Names the file a configuration of a `matrix` run is reported to, by adding the configuration's name before the
+   * file's extension.
+   * @param {String} file the file results are reported to.
+   * @param {String} name the name of the configuration.
+   * @return {String} the file for the configuration, such as `results-xenial.xml` for `results.xml`.
+  */
+  static configurationFile(file, name) {
+    const ext = path.extname(file);
+    const slug = String(name).replace(/[^A-Za-z0-9_.-]+/g, "-");
+    return `${file.slice(0, file.length - ext.length)}-${slug}${ext}`;
+  }
+
+  /**
+   * Describes an error for reports, including the output of the command that failed if available.
+   * @param {Error} err the error to describe.
+   * @return {String} the error's stack (or message), followed by any command output.
+  */
+  static describeError(err) {
+    let text = err && err.stack ? err.stack : String(err);
+    if(err && err.result && typeof err.result.format === "function") {
+      text += `\n${err.result.format()}`;
+    }
+    return text;
+  }
+
+  /**
+   * @typedef {Object} TestCounts
+   * @property {Number} passed the number of tests that passed.
+   * @property {Number} failed the number of tests that failed.
+   * @property {Number} skipped the number of tests that were skipped with {@link FormatTestOutput#skip}.
+   * @property {Number} bypassed the number of bypasses that skipped tests.
+   * @property {Number} errors the number of sections ended early by an error.
+  */
+
+  /**
+   * Counts the results of a section, including all nested sections.
+   * @param {SectionResult} section the section to count.
+   * @return {TestCounts} the number of tests with each result.
+  */
+  static count(section) {
+    const counts = {
+      passed: section.tests.filter(t => t.state === "passed").length,
+      failed: section.tests.filter(t => t.state === "failed").length,
+      skipped: section.tests.filter(t => t.state === "skipped").length,
+      bypassed: section.bypassed.length,
+      errors: section.error ? 1 : 0,
+    };
+    section.sections.forEach(child => {
+      const childCounts = Reporter.count(child);
+      Object.keys(counts).forEach(key => counts[key] += childCounts[key]);
+    });
+    return counts;
+  }
+
+  /**
+   * Lists every failed test in a section, including all nested sections.
+   * @param {SectionResult} section the section to search.
+   * @return {Array<TestResult>} the failed tests, in the order they ran.
+  */
+  static failures(section) {
+    return section.sections.reduce(
+      (all, child) => all.concat(Reporter.failures(child)),
+      section.tests.filter(t => t.state === "failed")
+    );
+  }
+
+  /**
+   * The names of a section and all sections containing it.
+   * @param {SectionResult} section the section.
+   * @return {Array<String>} the section names, outermost first.  Doesn't include the root section.
+  */
+  static sectionPath(section) {
+    const names = [];
+    for(let s = section; s && s.name !== null; s = s.parent) {
+      names.unshift(s.name);
+    }
+    return names;
+  }
+
+  /**
+   * Writes a finished report to a file, or to standard output if no file is given.
+   * @param {null|String} file the file to write to.
+   * @param {String} text the contents of the report.
+   * @return {Promise} resolves when the report has been written.
+  */
+  static write(file, text) {
+    if(!file) {
+      process.stdout.write(text);
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      fs.writeFile(file, text, err => err ? reject(err) : resolve());
+    });
+  }
+
+}
+
+module.exports = Reporter;
@@ -0,0 +1,76 @@
+const AssertionError = require("assert").AssertionError;
+
+/**
+ * Base class for resources on a {@link TestMachine} that can be checked, in the style of serverspec or goss.  Query
+ * methods resolve to the current state of the resource.  Assertion methods (starting with `should`) reject with an
+ * `AssertionError` describing the failure, which includes the last command run so {@link FormatTestOutput#it} can
+ * print its output.
+*/
+class Resource {
+
+  /**
+   * @param {TestMachine} machine the machine the resource is on.
+   * @param {String} type a human-readable description of the type of resource, such as `"file"`.
+   * @param {String} name the name of the resource.
+  */
+  constructor(machine, type, name) {
+    this.machine = machine;
+    this.type = type;
+    this.name = name;
+    this.result = null;
+  }
+
+  /**
+   * Describes this resource for failure messages.
+   * @return {String} a description, such as `file '/etc/hosts'`.
+  */
+  describe() {
+    return `${this.type} '${this.name}'`;
+  }
+
+  /**
+   * Runs a command on the machine to inspect the resource.  Non-zero exit codes don't reject.
+   * @param {String} command the command to run.
+   * @return {Promise<CommandResult>} resolves to the result of the command.
+   * @protected
+  */
+  run(command) {
+    return this.machine
+      .ssh(command, { allowFailure: true })
+      .then(res => this.result = res);
+  }
+
+  /**
+   * Checks a condition, and throws an `AssertionError` if it doesn't hold.
+   * @param {Boolean} pass `true` if the assertion passed.
+   * @param {String} expectation describes what was expected of the resource, such as `"to exist"`.
+   * @param {Any} [actual] the actual value, for the failure message.
+   * @param {Any} [expected] the expected value, for the failure message.
+   * @return {Boolean} `true` if the assertion passed.
+   * @throws {AssertionError} if the assertion failed.
+   * @protected
+  */
+  check(pass, expectation, actual, expected) {
+    if(pass) { return true; }
+    let message = `Expected ${this.describe()} ${expectation}`;
+    if(typeof actual !== "undefined") { message += `, but got ${JSON.stringify(actual)}`; }
+    const err = new AssertionError({ message, actual, expected, operator: expectation });
+    err.result = this.result;
+    throw err;
+  }
+
+  /**
+   * Checks a string against an expected string or pattern.
+   * @param {String} actual the value to check.
+   * @param {String|RegExp} expected the exact value or a pattern to match.
+   * @return {Boolean} `true` if `actual` matches.
+   * @protected
+  */
+  matches(actual, expected) {
+    if(expected instanceof RegExp) { return expected.test(actual); }
+    return actual === String(expected);
+  }
+
+}
+
+module.exports = Resource;
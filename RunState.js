@@ -0,0 +1,100 @@
+const fs = require("fs");
+
+/**
+ * @typedef {Object} InstanceRecord
+ * @property {String} name the name of the machine.
+ * @property {String} backend the class of the {@link TestMachine} that created the machine, such as `GCETestMachine`.
+ * @property {String} created when the machine was recorded, as an ISO 8601 timestamp.
+ * @property {Object} state the data needed to reattach to the machine, from {@link TestMachine#toState}.
+*/
+
+/**
+ * Records created machines in a JSON file, so a later invocation can attach to a machine (to rerun tests against it)
+ * or destroy it.  The file is removed once no machines are recorded.
+ * @example <caption>Listing recorded machines</caption>
+ * new RunState(".cloud-machine-test.json").list().forEach(record => console.log(record.name));
+*/
+class RunState {
+
+  /**
+   * @param {String} [file] the path to the state file.  Defaults to `.cloud-machine-test.json`.
+  */
+  constructor(file) {
+    this.file = file || ".cloud-machine-test.json";
+  }
+
+  /**
+   * Reads the recorded machines.
+   * @return {Array<InstanceRecord>} the recorded machines, oldest first.  Empty if the state file doesn't exist.
+  */
+  list() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, "utf8");
+    }
+    catch (err) {
+      if(err.code === "ENOENT") { return []; }
+      throw err;
+    }
+    return JSON.parse(text).instances || [];
+  }
+
+  /**
+   * Writes the recorded machines, removing the state file if there are none.
+   * @param {Array<InstanceRecord>} instances the machines to record.
+   * @return {void}
+   * @private
+  */
+  write(instances) {
+    if(instances.length > 0) {
+      fs.writeFileSync(this.file, `${JSON.stringify({ instances }, null, 2)}\n`);
+      return;
+    }
+    try {
+      fs.unlinkSync(this.file);
+    }
+    catch (err) {
+      if(err.code !== "ENOENT") { throw err; }
+    }
+  }
+
+  /**
+   * Finds a recorded machine.
+   * @param {String} [name] the name of the machine.  If not given, finds the most recently recorded machine.
+   * @return {null|InstanceRecord} the recorded machine, or `null` if it isn't recorded.
+  */
+  find(name) {
+    const instances = this.list();
+    if(!name) { return instances[instances.length - 1] || null; }
+    return instances.filter(record => record.name === name)[0] || null;
+  }
+
+  /**
+   * Records the machine created by a {@link TestMachine}, replacing any earlier record with the same name.
+   * @param {TestMachine} machine the machine to record.
+   * @return {InstanceRecord} the new record.
+  */
+  record(machine) {
+    const state = machine.toState();
+    const record = {
+      name: state.name,
+      backend: machine.constructor.name,
+      created: new Date().toISOString(),
+      state,
+    };
+    this.write(this.list().filter(existing => existing.name !== record.name).concat([ record ]));
+    return record;
+  }
+
+  /**
+   * Removes a machine from the state file.
+   * @param {String} name the name of the machine.
+   * @return {void}
+  */
+  remove(name) {
+    this.write(this.list().filter(record => record.name !== name));
+  }
+
+}
+
+module.exports = RunState;
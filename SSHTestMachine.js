@@ -0,0 +1,418 @@
+const merge = require("lodash.merge");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestMachine = require("./TestMachine");
+const TestError = require("./TestError");
+
+/**
+ * @typedef {Object} SSHTestMachineOptions
+ * @property {null|String} host the host to connect to.  Not needed if `hosts` is given, or if `createCommand` prints
+ *   the host.
+ * @property {Number} port the SSH port.  Defaults to `22`.
+ * @property {null|String} user the remote user.  Defaults to `sshUser` from {@link TestMachineOptions}.
+ * @property {null|String} key the path to a private key used to authenticate.
+ * @property {Array<String|Object>} hosts a pool of hosts to choose from.  Each is either a host name or
+ *   `{ host, port, user, key }`.  A host is claimed with a lock file until the instance is destroyed, so concurrent
+ *   runs use different hosts.
+ * @property {Array<String>} options extra `-o` options given to `ssh`, such as `"ProxyJump=bastion"`.
+ * @property {null|String} createCommand a local shell command run to create or reset the machine, such as
+ *   `vagrant up` or a libvirt script.  If no host has been chosen, the last line printed is used as the host.
+ * @property {null|String} destroyCommand a local shell command run to destroy or reset the machine.
+ * @property {String} lockDir the directory storing lock files for claimed hosts.  Defaults to a directory in the
+ *   system's temporary directory.
+*/
+
+/**
+ * Runs tests against pre-existing or locally virtualized hosts with plain OpenSSH, without any cloud CLI.
+ *
+ * `createCommand` and `destroyCommand` are run with `TEST_MACHINE_NAME`, `TEST_MACHINE_HOST` and `TEST_MACHINE_PORT`
+ * set in their environment, so they can drive Vagrant, libvirt/QEMU or a bare-metal reset script.
+*/
+class SSHTestMachine extends TestMachine {
+
+  /**
+   * @param {TestMachineOptions} opts options to configure the test machine.  Connection settings are given in
+   *   `opts.ssh` (see {@link SSHTestMachineOptions}).
+  */
+  constructor(opts) {
+    super(opts);
+    this.opts.ssh = merge({}, {
+      host: null,
+      port: 22,
+      user: this.opts.sshUser,
+      key: null,
+      hosts: [],
+      options: [],
+      createCommand: null,
+      destroyCommand: null,
+      lockDir: path.join(os.tmpdir(), "cloud-machine-testing"),
+    }, this.opts.ssh);
+    this.ensureStartedTimeout = 60 * 1000;
+  }
+
+  /**
+   * Checks that a host (or a way to create one) is configured, that SSH keys exist, and that `ssh` is installed.
+   * @return {Promise<Array<TestError>>} resolves to every failed check.
+  */
+  preflight() {
+    const ssh = this.opts.ssh;
+    const keys = [ ssh.key ].concat(ssh.hosts.map(host => host && host.key)).filter(key => !!key);
+    return this.runPreflight([
+      () => {
+        if(!ssh.host && ssh.hosts.length === 0 && !ssh.createCommand) {
+          throw new TestError("No 'host', 'hosts' or 'createCommand' configured for SSHTestMachine.",
+            TestError.codes.configuration);
+        }
+      },
+    ].concat(
+      keys.map(key => this.requireFile(key, "SSH key")),
+      [ this.requireCli([ "ssh", "-V" ]) ]
+    ));
+  }
+
+  /**
+   * Creates a random alphabetical string to generate unique machine names.
+   * @return {String} a random alphabetical string.
+  */
+  salt() {
+    return Math.random().toString(36).slice(2);
+  }
+
+  /**
+   * Fetches the lock files of all hosts currently claimed by this testing.  Files that don't end in `.json`, or can't
+   * be parsed, are skipped.
+   * @return {Promise<Array>} resolves to the claimed machines.  Each includes
+   *   `{ id, name, zone, creationTimestamp, labels, lock }`, where `zone` is the host and `lock` is the lock file.
+  */
+  getInstances() {
+    let files;
+    try {
+      files = fs.readdirSync(this.opts.ssh.lockDir);
+    }
+    catch (err) {
+      if(err.code === "ENOENT") { return Promise.resolve([]); }
+      return Promise.reject(err);
+    }
+    return Promise.resolve(files
+      .filter(file => path.extname(file) === ".json")
+      .map(file => this.readLock(path.join(this.opts.ssh.lockDir, file)))
+      .filter(lock => lock && typeof lock.name === "string" && lock.name.indexOf(this.opts.prefix) === 0)
+      .map(lock => ({
+        id: lock.name,
+        name: lock.name,
+        zone: lock.host,
+        creationTimestamp: lock.creationTimestamp,
+        labels: lock.labels || {},
+        lock: lock.file,
+      })));
+  }
+
+  /**
+   * Reads a lock file written by {@link SSHTestMachine#claimHost}.
+   * @param {String} file the path to the lock file.
+   * @return {null|Object} the contents of the lock, including the `file` it was read from, or `null` if the file
+   *   can't be read or parsed.
+   * @private
+  */
+  readLock(file) {
+    try {
+      return merge({ file }, JSON.parse(fs.readFileSync(file, "utf8")));
+    }
+    catch (err) {
+      console.log(`Skipping lock file ${file}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Claims a host, runs the `createCommand` if given, and waits until the host accepts SSH connections.
+   * @return {Promise} resolves when the machine is ready.
+  */
+  createInstance() {
+    this._salt = this.salt();
+    this._image = `${this.opts.prefix}${this._salt}`;
+    return Promise
+      .resolve()
+      .then(() => this.claimHost())
+      .catch(err => {
+        this._image = null;
+        throw err;
+      })
+      .then(() => this.runHook(this.opts.ssh.createCommand))
+      .then(res => {
+        if(!this.host && res) {
+          const lines = res.stdout.trim().split("\n");
+          this.host = { host: lines[lines.length - 1].trim() };
+        }
+        if(!this.host || !this.host.host) {
+          throw new TestError("No host configured for SSHTestMachine.");
+        }
+        console.log(`Using host ${this.host.host}.  Ensuring SSH connection works.`);
+        return this.ensureStarted(this.ensureStartedTimeout);
+      });
+  }
+
+  /**
+   * Describes the claimed host, including its connection settings and lock file.
+   * @return {Object} the saved state, including `{ name, salt, host, lock }`.
+  */
+  toState() {
+    return merge(super.toState(), { host: this.host, lock: this._lock });
+  }
+
+  /**
+   * Points this object at a host claimed by an earlier run.
+   * @param {Object} state the saved state, from {@link SSHTestMachine#toState}.
+   * @return {void}
+  */
+  restore(state) {
+    super.restore(state);
+    this.host = state.host || null;
+    this._lock = state.lock || null;
+  }
+
+  /**
+   * Runs the `destroyCommand` if given, and releases the claimed host.  Does nothing if no host was claimed, so a
+   * host locked by another run is never destroyed.
+   * @param {Object} [opts] options for destroying the machine.
+   * @param {Boolean} [opts.background] if `true`, runs the `destroyCommand` detached from this process.
+   * @return {Promise} resolves when the machine has been destroyed (or the `destroyCommand` has started).
+  */
+  destroyInstance(opts) {
+    if(!this._image || !this._lock) { return Promise.resolve(); }
+    return this
+      .runHook(this.opts.ssh.destroyCommand, { background: opts && opts.background })
+      .then(() => this.releaseHost());
+  }
+
+  /**
+   * Runs the `destroyCommand` for a machine listed by {@link SSHTestMachine#getInstances}, such as one claimed by a
+   * run that has exited, and removes its lock file.
+   * @param {Object} instance the machine to destroy.
+   * @return {Promise} resolves when the machine has been destroyed.
+  */
+  removeInstance(instance) {
+    const env = { TEST_MACHINE_NAME: instance.name, TEST_MACHINE_HOST: instance.zone || "" };
+    return this
+      .runHook(this.opts.ssh.destroyCommand, { env })
+      .then(() => {
+        try {
+          fs.unlinkSync(instance.lock);
+        }
+        catch (err) {
+          if(err.code !== "ENOENT") { throw err; }
+        }
+      });
+  }
+
+  /**
+   * Chooses the host to use, and writes a lock file to claim it.
+   * @return {void}
+   * @throws {TestError} if every host in the pool is already claimed.
+   * @private
+  */
+  claimHost() {
+    const ssh = this.opts.ssh;
+    const candidates = ssh.hosts.length > 0 ? ssh.hosts : [ ssh.host ];
+    try {
+      fs.mkdirSync(ssh.lockDir);
+    }
+    catch (err) {
+      if(err.code !== "EEXIST") { throw err; }
+    }
+    for(const candidate of candidates) {
+      const host = typeof candidate === "string" || !candidate ? { host: candidate } : candidate;
+      const lock = path.join(ssh.lockDir, `${host.host || this._image}.json`);
+      try {
+        fs.writeFileSync(lock, JSON.stringify({
+          name: this._image,
+          host: host.host,
+          creationTimestamp: new Date().toISOString(),
+          labels: this.instanceLabels(),
+        }), { flag: "wx" });
+      }
+      catch (err) {
+        if(err.code === "EEXIST") { continue; }
+        throw err;
+      }
+      this._lock = lock;
+      this.host = host.host ? host : null;
+      return;
+    }
+    throw new TestError(`All ${candidates.length} hosts are in use.`);
+  }
+
+  /**
+   * Removes the lock file claiming the current host.
+   * @return {void}
+   * @private
+  */
+  releaseHost() {
+    if(this._lock) {
+      try {
+        fs.unlinkSync(this._lock);
+      }
+      catch (err) {
+        if(err.code !== "ENOENT") { throw err; }
+      }
+    }
+    this._lock = null;
+  }
+
+  /**
+   * Runs a local lifecycle command.
+   * @param {null|String} command the shell command to run.
+   * @param {Object} [opts] options for running the command.
+   * @param {Boolean} [opts.background] if `true`, runs the command detached from this process.
+   * @param {Object} [opts.env] overrides the `TEST_MACHINE_*` variables, to run the command for another machine.
+   * @return {Promise<null|Object>} resolves to `{ stdout, stderr, code }`, or `null` if no command was given.
+   * @private
+  */
+  runHook(command, opts) {
+    if(!command) { return Promise.resolve(null); }
+    opts = opts || {};
+    const env = merge({}, process.env, {
+      TEST_MACHINE_NAME: this._image,
+      TEST_MACHINE_HOST: this.host ? this.host.host : "",
+      TEST_MACHINE_PORT: String(this.connection().port),
+    }, opts.env);
+    if(opts.background) { return this.runner.detached([ "sh", "-c", command ], { env }); }
+    return this.runner.run([ "sh", "-c", command ], { env });
+  }
+
+  /**
+   * The connection settings for the current host, using defaults from {@link SSHTestMachineOptions}.
+   * @return {Object} `{ host, port, user, key }`
+   * @private
+  */
+  connection() {
+    const ssh = this.opts.ssh;
+    return merge({ port: ssh.port, user: ssh.user, key: ssh.key }, this.host);
+  }
+
+  /**
+   * Builds the options given to both `ssh` and `scp`.
+   * @return {Array<String>} the options, not including the port.
+   * @private
+  */
+  connectionArgs() {
+    const conn = this.connection();
+    let args = [
+      "-o", "StrictHostKeyChecking=no",
+      "-o", "UserKnownHostsFile=/dev/null",
+      "-o", "LogLevel=ERROR",
+      "-o", `ConnectTimeout=${Math.ceil(this.opts.sshTimeout / 1000)}`,
+    ];
+    if(conn.key) { args = args.concat([ "-i", conn.key ]); }
+    this.opts.ssh.options.forEach(opt => args = args.concat([ "-o", opt ]));
+    return args;
+  }
+
+  /**
+   * The destination to connect to, including the user if one is configured.
+   * @return {String} the destination, such as `user@host`.
+   * @private
+  */
+  destination() {
+    const conn = this.connection();
+    return conn.user ? `${conn.user}@${conn.host}` : conn.host;
+  }
+
+  /**
+   * Builds the arguments given to `ssh` to connect to the current host.
+   * @return {Array<String>} the arguments, ending with the destination.
+   * @private
+  */
+  sshArgs() {
+    return [ "-p", String(this.connection().port) ].concat(this.connectionArgs(), [ this.destination() ]);
+  }
+
+  /**
+   * Runs `scp` against the current host.
+   * @param {Array<String>} paths the source and destination.  The remote path should be prefixed with `:`.
+   * @param {Boolean} recursive if `true`, copies directories recursively.
+   * @return {Promise} resolves when the copy has finished.
+   * @private
+  */
+  scp(paths, recursive) {
+    const args = [ "scp", "-B", "-P", String(this.connection().port) ].concat(this.connectionArgs());
+    const target = paths.map(p => p.indexOf(":") === 0 ? `${this.destination()}${p}` : p);
+    return this.runner.run(args.concat(recursive ? [ "-r" ] : [], target));
+  }
+
+  /**
+   * Copies a local file to the current host with `scp`.
+   * @param {String} localPath the file to copy.
+   * @param {String} remotePath the destination on the remote machine.
+   * @return {Promise} resolves when the file has been copied.
+  */
+  upload(localPath, remotePath) {
+    return this.scp([ localPath, `:${remotePath}` ], false);
+  }
+
+  /**
+   * Copies a file from the current host with `scp`.
+   * @param {String} remotePath the file to copy from the remote machine.
+   * @param {String} localPath the local destination.
+   * @return {Promise} resolves when the file has been copied.
+  */
+  download(remotePath, localPath) {
+    return this.scp([ `:${remotePath}`, localPath ], false);
+  }
+
+  /**
+   * Recursively copies a local directory to the current host with `scp`.
+   * @param {String} localPath the directory to copy.
+   * @param {String} remotePath the destination directory on the remote machine.
+   * @return {Promise} resolves when the directory has been copied.
+  */
+  uploadDirectory(localPath, remotePath) {
+    return this.scp([ localPath, `:${remotePath}` ], true);
+  }
+
+  /**
+   * Recursively copies a directory from the current host with `scp`.
+   * @param {String} remotePath the directory to copy from the remote machine.
+   * @param {String} localPath the local destination directory.
+   * @return {Promise} resolves when the directory has been copied.
+  */
+  downloadDirectory(remotePath, localPath) {
+    return this.scp([ `:${remotePath}`, localPath ], true);
+  }
+
+  /**
+   * Forwards a local port to a port on the current host with `ssh -L`.
+   * @param {Number} remotePort the port on the machine.
+   * @param {Object} [opts] options for the forward.
+   * @param {Number} [opts.localPort] the local port to listen on.  Defaults to a free port.
+   * @return {Promise<Number>} resolves to the local port once it accepts connections.
+  */
+  forward(remotePort, opts) {
+    return this
+      .localPort(opts)
+      .then(localPort => {
+        const argv = [ "ssh", "-N", "-o", "BatchMode=yes", "-o", "ExitOnForwardFailure=yes" ]
+          .concat([ "-L", `${localPort}:localhost:${remotePort}` ], this.sshArgs());
+        return this.tunnel(argv, localPort, remotePort);
+      });
+  }
+
+  /**
+   * Runs an SSH connection to the current host.
+   * @param {String} command a command to execute on the remote machine.  If not provided, an interactive SSH session
+   *   is started.
+   * @param {SSHOptions} [opts] options for running the command.
+   * @return {Promise<CommandResult>} resolves when the SSH connection terminates.  Rejects with a {@link CommandError}
+   *   if the command exits with a non-zero exit code, unless `opts.allowFailure` is set.
+  */
+  ssh(command, opts) {
+    if(command) {
+      return this.remote(command, [ "ssh", "-o", "BatchMode=yes" ].concat(this.sshArgs(), [ command ]), opts);
+    }
+    return this.runner.interactive([ "ssh", "-t" ].concat(this.sshArgs()));
+  }
+
+}
+
+module.exports = SSHTestMachine;
@@ -0,0 +1,90 @@
+const CommandRunner = require("./CommandRunner");
+const Resource = require("./Resource");
+
+/**
+ * A `systemd` service on a {@link TestMachine}.  Create with {@link TestMachine#service}.
+ * @example <caption>Checking that a service runs at boot</caption>
+ * out.it("should run nginx", () => {
+ *   const nginx = machine.service("nginx");
+ *   return nginx.shouldBeActive().then(() => nginx.shouldBeEnabled());
+ * });
+*/
+class ServiceResource extends Resource {
+
+  /**
+   * @param {TestMachine} machine the machine the service is on.
+   * @param {String} name the name of the `systemd` service.
+  */
+  constructor(machine, name) {
+    super(machine, "service", name);
+    this.quoted = CommandRunner.quote(name);
+  }
+
+  /**
+   * Fetches the state of the service, as reported by `systemctl is-active`.
+   * @return {Promise<String>} resolves to the state, such as `"active"` or `"inactive"`.
+  */
+  state() {
+    return this.run(`systemctl is-active ${this.quoted}`).then(res => res.stdout);
+  }
+
+  /**
+   * Checks if the service is running.
+   * @return {Promise<Boolean>} resolves to `true` if the service is active.
+  */
+  isActive() {
+    return this.state().then(state => state === "active");
+  }
+
+  /**
+   * Checks if the service starts at boot.
+   * @return {Promise<Boolean>} resolves to `true` if the service is enabled.
+  */
+  isEnabled() {
+    return this.run(`systemctl is-enabled ${this.quoted}`).then(res => res.stdout === "enabled");
+  }
+
+  /**
+   * Waits for the service to start, using {@link TestMachine#ensureServiceStarted}.
+   * @param {Integer} timeout the maximum time to wait, in milliseconds.
+   * @return {Promise} resolves when the service is running.
+  */
+  waitUntilActive(timeout) {
+    return this.machine.ensureServiceStarted(this.name, timeout);
+  }
+
+  /**
+   * Asserts that the service is running.
+   * @return {Promise} rejects with an `AssertionError` if the service isn't active.
+  */
+  shouldBeActive() {
+    return this.state().then(state => this.check(state === "active", "to be active", state));
+  }
+
+  /**
+   * Asserts that the service isn't running.
+   * @return {Promise} rejects with an `AssertionError` if the service is active.
+  */
+  shouldNotBeActive() {
+    return this.state().then(state => this.check(state !== "active", "not to be active", state));
+  }
+
+  /**
+   * Asserts that the service starts at boot.
+   * @return {Promise} rejects with an `AssertionError` if the service isn't enabled.
+  */
+  shouldBeEnabled() {
+    return this.isEnabled().then(enabled => this.check(enabled, "to be enabled", this.result.stdout));
+  }
+
+  /**
+   * Asserts that the service doesn't start at boot.
+   * @return {Promise} rejects with an `AssertionError` if the service is enabled.
+  */
+  shouldNotBeEnabled() {
+    return this.isEnabled().then(enabled => this.check(!enabled, "not to be enabled", this.result.stdout));
+  }
+
+}
+
+module.exports = ServiceResource;
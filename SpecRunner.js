@@ -0,0 +1,312 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const Resource = require("./Resource");
+const TestError = require("./TestError");
+
+/**
+ * The keys each kind of test accepts, besides `name`, `id` and `dependents`.
+ * @type {Object}
+*/
+const KEYS = {
+  file: [ "file", "exists", "directory", "mode", "owner", "group", "contains", "matches", "sudo" ],
+  service: [ "service", "active", "enabled" ],
+  port: [ "port", "listening", "protocol" ],
+  package: [ "package", "installed", "version", "versionMatches" ],
+  user: [ "user", "exists", "groups" ],
+  command: [ "command", "exitCode", "stdout", "stderr", "stdoutMatches", "stderrMatches" ],
+};
+
+/**
+ * @typedef {Object} TestSpec
+ * @property {String} [name] a descriptive name for the test.  Defaults to a description of the check.
+ * @property {String} [id] identifies the test for the bypass that skips its `dependents`.  Defaults to the name.
+ * @property {String} [file] checks a file.  Expectations: `exists`, `directory`, `mode`, `owner`, `group` (only
+ *   with `owner`), `contains` and `matches` (a regular expression).  Set `sudo: true` to inspect the file with `sudo`.
+ * @property {String} [service] checks a `systemd` service.  Expectations: `active` and `enabled`.
+ * @property {Number} [port] checks a port.  Expectations: `listening`.  Set `protocol: udp` for UDP ports.
+ * @property {String} [package] checks a package.  Expectations: `installed`, `version` and `versionMatches` (a
+ *   regular expression).
+ * @property {String} [user] checks a user.  Expectations: `exists` and `groups` (a list the user must be in).
+ * @property {String} [command] runs a command.  Expectations: `exitCode` (defaults to `0`), `stdout`, `stderr` (text
+ *   the output must include), `stdoutMatches` and `stderrMatches` (regular expressions).
+ * @property {Array<TestSpec>} [dependents] tests that depend on this test, and are skipped if it fails.
+*/
+
+/**
+ * @typedef {Object} SectionSpec
+ * @property {String} name the name of the section.
+ * @property {Array<TestSpec>} [tests] the tests in the section, run in order.
+ * @property {Array<SectionSpec>} [sections] nested sections, run after `tests`.
+*/
+
+/**
+ * Runs machine checks described in a YAML or JSON specification file, so checks can be written without JavaScript.
+ * Sections map onto {@link FormatTestOutput#section}, and tests onto {@link FormatTestOutput#it} using the resource
+ * matchers on {@link TestMachine}.  A test's `dependents` are skipped with {@link FormatTestOutput#startBypass} if the
+ * test fails.
+ * @example <caption>A specification file</caption>
+ * sections:
+ *   - name: Web Server
+ *     tests:
+ *       - name: should install nginx
+ *         package: nginx
+ *         installed: true
+ *         dependents:
+ *           - service: nginx
+ *             active: true
+ *             enabled: true
+ *           - port: 80
+ *             listening: true
+ *       - name: should serve the home page
+ *         command: curl -s http://localhost/
+ *         stdout: Welcome
+*/
+class SpecRunner {
+
+  /**
+   * @param {TestMachine} machine the machine to run checks against.
+   * @param {FormatTestOutput} out the test output to report to.
+  */
+  constructor(machine, out) {
+    this.machine = machine;
+    this.out = out;
+  }
+
+  /**
+   * Reads a specification file.  Files ending in `.json` are parsed as JSON, and all others as YAML.
+   * @param {String} file the path to the specification.
+   * @return {Object} the parsed specification, containing `sections`.
+   * @throws {TestError} if the file isn't a valid specification.
+  */
+  load(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const spec = path.extname(file) === ".json" ? JSON.parse(text) : yaml.safeLoad(text);
+    if(!spec || !Array.isArray(spec.sections)) {
+      throw new TestError(`Test specification ${file} must contain a list of 'sections'.`);
+    }
+    spec.sections.forEach(section => this.validateSection(section));
+    return spec;
+  }
+
+  /**
+   * Ensures that a section and its tests are valid, before any tests are run.
+   * @param {SectionSpec} section the section to check.
+   * @return {void}
+   * @throws {TestError} if the section or any of its tests are invalid.
+   * @private
+  */
+  validateSection(section) {
+    if(!section || typeof section.name !== "string") {
+      throw new TestError("Every section in a test specification needs a 'name'.");
+    }
+    const validateTest = test => {
+      const kind = this.kind(test);
+      const described = `Test ${JSON.stringify(test)} in section '${section.name}'`;
+      if(kind === null) {
+        throw new TestError(`${described} doesn't specify a check.`);
+      }
+      const unknown = Object.keys(test)
+        .filter(key => [ "name", "id", "dependents" ].concat(KEYS[kind]).indexOf(key) === -1);
+      if(unknown.length > 0) {
+        throw new TestError(`${described} has unknown keys for a ${kind} check: ${unknown.join(", ")}.`);
+      }
+      if(kind === "file" && typeof test.group !== "undefined" && typeof test.owner === "undefined") {
+        throw new TestError(`${described} gives a 'group' without an 'owner'.`);
+      }
+      (test.dependents || []).forEach(validateTest);
+    };
+    (section.tests || []).forEach(validateTest);
+    (section.sections || []).forEach(child => this.validateSection(child));
+  }
+
+  /**
+   * Determines which kind of check a test runs.
+   * @param {TestSpec} test the test.
+   * @return {null|String} the key naming the check, such as `"file"`, or `null` if no check is given.
+   * @private
+  */
+  kind(test) {
+    const kinds = [ "file", "service", "port", "package", "user", "command" ];
+    return kinds.filter(kind => test && typeof test[kind] !== "undefined")[0] || null;
+  }
+
+  /**
+   * Runs every section in a specification file.
+   * @param {String} file the path to the specification.
+   * @return {Promise} resolves when every section has run.
+  */
+  runFile(file) {
+    return Promise
+      .resolve()
+      .then(() => this.run(this.load(file)));
+  }
+
+  /**
+   * Runs every section in a parsed specification.
+   * @param {Object} spec the specification, containing `sections`.
+   * @return {Promise} resolves when every section has run.
+  */
+  run(spec) {
+    return spec.sections.reduce((chain, section) => chain.then(() => this.runSection(section)), Promise.resolve());
+  }
+
+  /**
+   * Runs a section, including nested sections.
+   * @param {SectionSpec} section the section to run.
+   * @return {Promise} resolves when the section has finished.
+  */
+  runSection(section) {
+    return this.out.section(section.name, () => this
+      .runTests(section.tests || [])
+      .then(() => (section.sections || [])
+        .reduce((chain, child) => chain.then(() => this.runSection(child)), Promise.resolve())));
+  }
+
+  /**
+   * Runs a list of tests in order.
+   * @param {Array<TestSpec>} tests the tests to run.
+   * @return {Promise} resolves when all tests have finished.
+   * @private
+  */
+  runTests(tests) {
+    return tests.reduce((chain, test) => chain.then(() => this.runTest(test)), Promise.resolve());
+  }
+
+  /**
+   * Runs a single test, then its dependents.  If the test fails, its dependents are bypassed and logged as skipped.
+   * @param {TestSpec} test the test to run.
+   * @return {Promise} resolves when the test and its dependents have finished.
+   * @private
+  */
+  runTest(test) {
+    const name = this.testName(test);
+    const run = this.out.it(name, () => this.check(test));
+    if(!test.dependents || test.dependents.length === 0) {
+      return run.catch(err => this.out.allowAssertion(err));
+    }
+    const code = test.id || name;
+    return run
+      .catch(this.out.startBypass(code))
+      .then(() => this.runTests(test.dependents))
+      .catch(err => {
+        this.out.resumeBypass(code)(err);
+        this.skipTests(test.dependents, `depends on failed test '${name}'`);
+      });
+  }
+
+  /**
+   * Logs tests (and their dependents) as skipped.
+   * @param {Array<TestSpec>} tests the tests that were bypassed.
+   * @param {String} reason why the tests were skipped.
+   * @return {void}
+   * @private
+  */
+  skipTests(tests, reason) {
+    tests.forEach(test => {
+      this.out.skip(this.testName(test), reason);
+      this.skipTests(test.dependents || [], reason);
+    });
+  }
+
+  /**
+   * The name to display for a test.
+   * @param {TestSpec} test the test.
+   * @return {String} the test's `name`, or a description of the check.
+   * @private
+  */
+  testName(test) {
+    if(test.name) { return test.name; }
+    const kind = this.kind(test);
+    const expectations = Object.keys(test)
+      .filter(key => [ kind, "id", "dependents", "sudo", "protocol" ].indexOf(key) === -1)
+      .map(key => `${key}: ${JSON.stringify(test[key])}`);
+    return `${kind} ${test[kind]}${expectations.length > 0 ? ` (${expectations.join(", ")})` : ""}`;
+  }
+
+  /**
+   * Checks every expectation of a test.
+   * @param {TestSpec} test the test to check.
+   * @return {Promise} rejects with an `AssertionError` if an expectation isn't met.
+  */
+  check(test) {
+    const kind = this.kind(test);
+    const m = this.machine;
+    const checks = [];
+    const when = (key, fn) => { if(typeof test[key] !== "undefined") { checks.push(() => fn(test[key])); } };
+    if(kind === "file") {
+      const file = m.file(test.file, { sudo: test.sudo });
+      when("exists", exists => exists ? file.shouldExist() : file.shouldNotExist());
+      when("directory", directory => directory ? file.shouldBeDirectory() : file.shouldNotBeDirectory());
+      when("mode", mode => file.shouldHaveMode(String(mode)));
+      when("owner", owner => file.shouldBeOwnedBy(owner, test.group));
+      when("contains", text => file.shouldContain(text));
+      when("matches", pattern => file.shouldContain(new RegExp(pattern)));
+    }
+    else if(kind === "service") {
+      const service = m.service(test.service);
+      when("active", active => active ? service.shouldBeActive() : service.shouldNotBeActive());
+      when("enabled", enabled => enabled ? service.shouldBeEnabled() : service.shouldNotBeEnabled());
+    }
+    else if(kind === "port") {
+      const port = m.port(test.port, test.protocol);
+      when("listening", listening => listening ? port.shouldBeListening() : port.shouldNotBeListening());
+    }
+    else if(kind === "package") {
+      const pkg = m.package(test.package);
+      when("installed", installed => installed ? pkg.shouldBeInstalled() : pkg.shouldNotBeInstalled());
+      when("version", version => pkg.shouldBeInstalled(String(version)));
+      when("versionMatches", pattern => pkg.shouldBeInstalled(new RegExp(pattern)));
+    }
+    else if(kind === "user") {
+      const user = m.user(test.user);
+      when("exists", exists => exists ? user.shouldExist() : user.shouldNotExist());
+      when("groups", groups => groups
+        .reduce((chain, group) => chain.then(() => user.shouldBeInGroup(group)), Promise.resolve()));
+    }
+    else if(kind === "command") {
+      checks.push(() => this.checkCommand(test));
+    }
+    if(checks.length === 0) {
+      const defaults = {
+        file: () => m.file(test.file, { sudo: test.sudo }).shouldExist(),
+        service: () => m.service(test.service).shouldBeActive(),
+        port: () => m.port(test.port, test.protocol).shouldBeListening(),
+        package: () => m.package(test.package).shouldBeInstalled(),
+        user: () => m.user(test.user).shouldExist(),
+      };
+      checks.push(defaults[kind]);
+    }
+    return checks.reduce((chain, fn) => chain.then(fn), Promise.resolve());
+  }
+
+  /**
+   * Runs a command test, and checks its exit code and output.
+   * @param {TestSpec} test the test, containing `command`.
+   * @return {Promise} rejects with an `AssertionError` if an expectation isn't met.
+   * @private
+  */
+  checkCommand(test) {
+    const command = new Resource(this.machine, "command", test.command);
+    const exitCode = typeof test.exitCode === "undefined" ? 0 : test.exitCode;
+    return command
+      .run(test.command)
+      .then(res => {
+        command.check(res.exitCode === exitCode, `to exit with code ${exitCode}`, res.exitCode, exitCode);
+        [ "stdout", "stderr" ].forEach(stream => {
+          if(typeof test[stream] !== "undefined") {
+            const expected = `to print ${JSON.stringify(test[stream])} to ${stream}`;
+            command.check(res[stream].indexOf(test[stream]) !== -1, expected);
+          }
+          const pattern = test[`${stream}Matches`];
+          if(typeof pattern !== "undefined") {
+            command.check(new RegExp(pattern).test(res[stream]), `to print output matching /${pattern}/ to ${stream}`);
+          }
+        });
+        return true;
+      });
+  }
+
+}
+
+module.exports = SpecRunner;
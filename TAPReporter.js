@@ -0,0 +1,159 @@
+const Reporter = require("./Reporter");
+
+/**
+ * Reports tests in the Test Anything Protocol (TAP) format.  Writes the version header with the first result, each
+ * result as it happens, and the plan at the end.  When writing to standard output, don't also use a
+ * {@link ConsoleReporter}, as its output would make the TAP stream invalid.
+*/
+class TAPReporter extends Reporter {
+
+  /**
+   * @param {Object} [opts] options for the reporter.
+   * @param {String} [opts.file] the file to write TAP output to.  Defaults to standard output.
+  */
+  constructor(opts) {
+    super();
+    opts = opts || {};
+    this.file = opts.file || null;
+    this.lines = [];
+    this.started = false;
+    this.count = 0;
+  }
+
+  /**
+   * Adds lines to the output, starting with the version header if nothing has been written yet.  Lines are printed
+   * immediately if writing to standard output.
+   * @param {...String} lines the lines to add.
+   * @return {void}
+   * @private
+  */
+  add(...lines) {
+    if(!this.started) {
+      this.started = true;
+      this.lines.push("TAP version 13");
+    }
+    this.lines = this.lines.concat(lines);
+    if(!this.file) { this.flush(); }
+  }
+
+  /**
+   * Prints any pending lines to standard output.
+   * @return {void}
+   * @private
+  */
+  flush() {
+    process.stdout.write(this.lines.map(line => `${line}\n`).join(""));
+    this.lines = [];
+  }
+
+  /**
+   * The full name of a test, including the names of the sections containing it.
+   * @param {TestResult} test the test.
+   * @return {String} the test description, without any `#` characters.
+   * @private
+  */
+  title(test) {
+    return Reporter.sectionPath(test.section).concat([ test.name ]).join(" > ").replace(/#/g, "\\#");
+  }
+
+  /**
+   * Writes a section name as a comment.
+   * @param {SectionResult} section the section that started.
+   * @return {void}
+  */
+  sectionStart(section) {
+    this.add(`# ${Reporter.sectionPath(section).join(" > ")}`);
+  }
+
+  /**
+   * Writes a failure for the error that ended a section.
+   * @param {SectionResult} section the section that failed.
+   * @param {Error} err the error that ended the section.
+   * @return {void}
+  */
+  sectionError(section, err) {
+    this.add(`not ok ${++this.count} - ${Reporter.sectionPath(section).join(" > ")} (section error)`);
+    this.diagnostic(err);
+  }
+
+  /**
+   * Writes an `ok` line.
+   * @param {TestResult} test the test that passed.
+   * @return {void}
+  */
+  testPass(test) {
+    this.add(`ok ${++this.count} - ${this.title(test)}`);
+  }
+
+  /**
+   * Writes a `not ok` line, with the error as YAML diagnostics.
+   * @param {TestResult} test the test that failed.
+   * @param {Error} err the error that failed the test.
+   * @return {void}
+  */
+  testFail(test, err) {
+    this.add(`not ok ${++this.count} - ${this.title(test)}`);
+    this.diagnostic(err);
+  }
+
+  /**
+   * Writes an `ok` line with a `SKIP` directive.
+   * @param {TestResult} test the test that was skipped.
+   * @return {void}
+  */
+  testSkip(test) {
+    this.add(`ok ${++this.count} - ${this.title(test)} # SKIP ${test.reason || ""}`.trim());
+  }
+
+  /**
+   * Writes a comment noting that tests were bypassed.
+   * @param {SectionResult} section the section the bypass ended in.
+   * @param {Any} code the code of the bypass.
+   * @return {void}
+  */
+  bypass(section, code) {
+    this.add(`# tests bypassed by '${code}'`);
+  }
+
+  /**
+   * Writes an error as a YAML diagnostic block.
+   * @param {Error} err the error to write.
+   * @return {void}
+   * @private
+  */
+  diagnostic(err) {
+    const details = Reporter.describeError(err).split("\n").map(line => `    ${line}`);
+    this.add.apply(this, [ "  ---", `  message: ${JSON.stringify(err && err.message ? err.message : String(err))}`,
+      "  details: |" ].concat(details, [ "  ..." ]));
+  }
+
+  /**
+   * Writes the plan, and the full report if writing to a file.
+   * @return {Promise} resolves when the report has been written.
+  */
+  end() {
+    this.add(`1..${this.count}`);
+    if(this.file) { return Reporter.write(this.file, this.lines.map(line => `${line}\n`).join("")); }
+    return Promise.resolve();
+  }
+
+  /**
+   * Checks if this reporter writes to standard output.
+   * @return {Boolean} `true` if no `file` was given.
+  */
+  usesStdout() {
+    return !this.file;
+  }
+
+  /**
+   * Reports a configuration of a `matrix` run to its own file, named after the configuration.
+   * @param {String} name the name of the configuration.
+   * @return {null|TAPReporter} the reporter for the configuration, or `null` if writing to standard output.
+  */
+  forConfiguration(name) {
+    return this.file ? new TAPReporter({ file: Reporter.configurationFile(this.file, name) }) : null;
+  }
+
+}
+
+module.exports = TAPReporter;
@@ -1,3 +1,23 @@
+/**
+ * Exit codes used by {@link TestError}s, so scripts running tests can tell failures apart.
+ * @type {Object}
+*/
+const CODES = {
+  failure: 1,
+  missingCli: 10,
+  cliVersion: 11,
+  account: 12,
+  project: 13,
+  zone: 14,
+  quota: 15,
+  missingFile: 16,
+  unreachable: 17,
+  configuration: 18,
+  timeout: 124,
+  interrupted: 130,
+  terminated: 143,
+};
+
 /**
  * A class to represent a failure while testing.  Takes in an `exitCode` to specify what the program should exit with.
 */
@@ -14,6 +34,27 @@ class TestError extends Error {
     this.name = "TestError";
   }
 
+  /**
+   * The exit codes for each kind of failure:
+   *
+   * - `failure` (1): a test or step failed.
+   * - `missingCli` (10): a command-line tool a backend needs isn't installed.
+   * - `cliVersion` (11): a command-line tool is older than the version required.
+   * - `account` (12): no account is logged in, or its credentials were rejected.
+   * - `project` (13): the cloud project isn't set, or can't be accessed.
+   * - `zone` (14): the zone or region isn't set, or isn't available.
+   * - `quota` (15): the project doesn't have the quota to create another machine.
+   * - `missingFile` (16): a local file, such as a `cloud-config` or SSH key, doesn't exist.
+   * - `unreachable` (17): a service the backend needs, such as the Docker daemon, isn't responding.
+   * - `configuration` (18): the backend's options are incomplete, or the `cloud-config` file is invalid.
+   * - `timeout` (124): the run took longer than its timeout.
+   * - `interrupted` (130) and `terminated` (143): the run received `SIGINT` or `SIGTERM`.
+   * @type {Object}
+  */
+  static get codes() {
+    return CODES;
+  }
+
 }
 
 module.exports = TestError;
@@ -1,7 +1,20 @@
+const fs = require("fs");
 const merge = require("lodash.merge");
-const promiseTimeout = require("promise-timeout").timeout;
+const net = require("net");
+const os = require("os");
+const resolvePath = require("path").resolve;
 const sleep = require("promise.delay");
+const CloudInit = require("./CloudInit");
+const CommandError = require("./CommandError");
+const CommandResult = require("./CommandResult");
+const CommandRunner = require("./CommandRunner");
+const FileResource = require("./FileResource");
+const PackageResource = require("./PackageResource");
+const PortResource = require("./PortResource");
+const ServiceResource = require("./ServiceResource");
+const UserResource = require("./UserResource");
 const TestError = require("./TestError");
+const Waiter = require("./Waiter");
 
 /**
  * @typedef {Object} TestMachineOptions
@@ -10,8 +23,32 @@ const TestError = require("./TestError");
  *   Defaults to 2 minutes.
  * @property {null|String} sshUser if provided, specifies a remote user to connect to.  If in CI, defaults to `ci`.
  *   otherwise not provided (and uses a default).
+ * @property {CommandRunner} runner runs local commands, such as cloud CLIs.  Defaults to a new {@link CommandRunner}.
+ *   Give a {@link ReplayCommandRunner} to test a backend without its CLI installed.
+ * @property {String} owner recorded on created machines to show who started the run.  Defaults to the local user.
+ * @property {Number} ttl how long created machines should live, in milliseconds.  Machines past their expiry are
+ *   destroyed by the {@link Reaper}.  Defaults to 4 hours.
+ * @property {Boolean} waitForCloudInit if `true`, {@link TestMachine#ensureStarted} also waits for `cloud-init` to
+ *   finish provisioning the machine, so tests don't start against a half-provisioned machine.  Defaults to `false`.
+ * @property {null|String} reprovisionCommand a command that applies the machine's provisioning again, used by
+ *   {@link TestMachine#reprovision} to check that provisioning is idempotent.  For `cloud-config` files, re-run the
+ *   modules to check, such as `sudo cloud-init single --name runcmd --frequency always`.  Defaults to `null`.
+ * @property {null|Array<String>} diagnostics the names of the {@link DiagnosticCollector}s to run when a test fails,
+ *   such as `["journal", "cloud-init"]`.  Defaults to `null`, which runs every collector the backend provides.
 */
 
+/**
+ * The labels applied to every created machine, recording the owner, the run that created it, and when it expires (in
+ * seconds since the epoch).  Values only use lowercase letters, digits, `-` and `_`, so they are valid labels on every
+ * backend.
+ * @type {Object}
+*/
+const LABELS = {
+  owner: "cmt-owner",
+  run: "cmt-run",
+  expires: "cmt-expires",
+};
+
 /**
  * Abstract class that creates machines, runs tests on created machines, then destroys the machines.
 */
@@ -25,13 +62,59 @@ class TestMachine {
       prefix: "test-",
       sshTimeout: 2 * 60 * 1000,
       sshUser: process.env.CI ? "ci" : undefined,
+      owner: process.env.USER || process.env.USERNAME || "unknown",
+      ttl: 4 * 60 * 60 * 1000,
+      waitForCloudInit: false,
+      diagnostics: null,
+      reprovisionCommand: null,
     }, opts);
+    this.runner = this.opts.runner || new CommandRunner();
+    this.runId = TestMachine.runId(process.pid);
+    this.forwards = [];
+  }
+
+  /**
+   * The keys of the ownership labels applied to created machines.
+   * @type {Object}
+  */
+  static get LABELS() {
+    return LABELS;
+  }
+
+  /**
+   * Converts a value into one that can be used as a label on every backend.
+   * @param {String} value the value to convert.
+   * @return {String} the value in lowercase, with unsupported characters replaced by `-`, and at most 63 characters.
+  */
+  static labelValue(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9_-]/g, "-").slice(0, 63);
+  }
+
+  /**
+   * Identifies a run by the local host name and its process ID, so runs that have exited can be detected.
+   * @param {Number} pid the process ID of the run.
+   * @return {String} the run ID, usable as a label value.
+  */
+  static runId(pid) {
+    return TestMachine.labelValue(`${os.hostname().split(".")[0].slice(0, 40)}-${pid}`);
+  }
+
+  /**
+   * The ownership labels to apply to a new machine.
+   * @return {Object} labels as `{ key: value }`, using the keys in {@link TestMachine.LABELS}.
+  */
+  instanceLabels() {
+    const labels = {};
+    labels[LABELS.owner] = TestMachine.labelValue(this.opts.owner);
+    labels[LABELS.run] = this.runId;
+    labels[LABELS.expires] = String(Math.floor((Date.now() + this.opts.ttl) / 1000));
+    return labels;
   }
 
   /**
    * Fetches all machines that are currently running created by this testing.
    * @return {Promise<Array>} resolves to the current running machines.  Each includes
-   *   `{ id, name, zone, creationTimestamp }`.
+   *   `{ id, name, zone, creationTimestamp, labels }`.
    * @abstract
   */
   getInstances() {
@@ -47,61 +130,663 @@ class TestMachine {
     return Promise.reject(new Error("Abstract TestMachine#createInstance not implemented."));
   }
 
+  /**
+   * Identifies the machine created by {@link TestMachine#createInstance}.
+   * @return {null|Object} `{ id, name }` of the created machine, or `null` if no machine has been created.
+  */
+  describeInstance() {
+    return this._image ? { id: this._image, name: this._image } : null;
+  }
+
+  /**
+   * Describes the created machine in a form that can be saved as JSON, to attach to it from another process with
+   * {@link TestMachine#restore}.  Backends add the fields they need to reconnect.
+   * @return {Object} the saved state, including `{ name, salt }`.
+  */
+  toState() {
+    return { name: this._image, salt: this._salt };
+  }
+
+  /**
+   * Points this object at an existing machine, instead of creating one with {@link TestMachine#createInstance}.
+   * @param {Object} state the saved state, from {@link TestMachine#toState}.
+   * @return {void}
+  */
+  restore(state) {
+    this._image = state.name;
+    this._salt = state.salt;
+  }
+
+  /*eslint-disable no-unused-vars*/
   /**
    * Destroys the machine used for testing.
-   * @return {Promise} resolves when the machine has been destroyed.
+   * @param {Object} [opts] options for destroying the machine.
+   * @param {Boolean} [opts.background] if `true`, resolves once destruction has been started, and lets it finish in
+   *   the background so the process can exit.
+   * @return {Promise} resolves when the machine has been destroyed (or destruction has started).
    * @abstract
   */
-  destroyInstance() {
+  destroyInstance(opts) {
     return Promise.reject(new Error("Abstract TestMachine#destroyInstance not implemented."));
   }
 
+  /**
+   * Destroys a machine listed by {@link TestMachine#getInstances}, such as one left behind by another run.
+   * @param {Object} instance the machine to destroy, as given by `getInstances`.
+   * @return {Promise} resolves when the machine has been destroyed.
+   * @abstract
+  */
+  removeInstance(instance) {
+    return Promise.reject(new Error("Abstract TestMachine#removeInstance not implemented."));
+  }
+  /*eslint-enable no-unused-vars*/
+
+  /**
+   * Checks that this backend can create machines before a run starts: that its CLI is installed and recent enough,
+   * that its account, project and zone are usable, that there is quota for another machine, and that the local files
+   * it needs exist.  Failures are collected instead of stopping at the first, so they can be reported together.
+   * @return {Promise<Array<TestError>>} resolves to every failed check, each with an exit code from
+   *   {@link TestError.codes}.  Resolves to an empty list if every check passed.
+  */
+  preflight() {
+    return this.runPreflight([]);
+  }
+
+  /**
+   * Runs preflight checks in order, collecting their failures.  Once a check finds that a CLI is missing, the
+   * remaining checks are skipped, as they would fail for the same reason.
+   * @param {Array<Function>} checks functions that return (or resolve) if the check passes, and throw (or reject with)
+   *   a {@link TestError} if it fails.
+   * @return {Promise<Array<TestError>>} resolves to the failed checks.
+   * @protected
+  */
+  runPreflight(checks) {
+    return checks.reduce((chain, check) => chain.then(failures => {
+      if(failures.some(failure => failure.exitCode === TestError.codes.missingCli)) { return failures; }
+      return Promise
+        .resolve()
+        .then(check)
+        .then(() => failures, err => failures.concat(err instanceof TestError ? err : new TestError(err.message)));
+    }), Promise.resolve([]));
+  }
+
+  /**
+   * A preflight check that a local file exists.
+   * @param {null|String} file the path to the file.  The check passes if no file is given.
+   * @param {String} description what the file is, such as `"Cloud-config file"`.
+   * @return {Function} the check, for {@link TestMachine#runPreflight}.
+   * @protected
+  */
+  requireFile(file, description) {
+    return () => {
+      if(file && !fs.existsSync(resolvePath(file))) {
+        throw new TestError(`${description} '${file}' doesn't exist.`, TestError.codes.missingFile);
+      }
+    };
+  }
+
+  /**
+   * A preflight check that a `cloud-config` file is valid, using {@link CloudInit.validate}.
+   * @param {null|String} file the path to the file.  The check passes if no file is given, or it doesn't exist (which
+   *   {@link TestMachine#requireFile} reports).
+   * @return {Function} the check, for {@link TestMachine#runPreflight}.
+   * @protected
+  */
+  requireCloudConfig(file) {
+    return () => {
+      if(!file || !fs.existsSync(resolvePath(file))) { return; }
+      const problems = CloudInit.validateFile(resolvePath(file));
+      if(problems.length > 0) {
+        throw new TestError(`Cloud-config file '${file}' is invalid: ${problems.join("  ")}`,
+          TestError.codes.configuration);
+      }
+    };
+  }
+
+  /**
+   * A preflight check that a command-line tool is installed, and is at least a minimum version.
+   * @param {Array<String>} argv a command that prints the tool's version, such as `["gcloud", "--version"]`.
+   * @param {null|String} [minVersion] the minimum version required, such as `"180.0.0"`.  If not given, any version
+   *   is accepted.
+   * @return {Function} the check, for {@link TestMachine#runPreflight}.
+   * @protected
+  */
+  requireCli(argv, minVersion) {
+    return () => this.runner
+      .run(argv)
+      .catch(err => {
+        const message = `'${argv[0]}' isn't installed or can't be run (${err.message}).`;
+        throw new TestError(message, TestError.codes.missingCli);
+      })
+      .then(res => {
+        if(!minVersion) { return; }
+        const version = /\d+(\.\d+)+/.exec(`${res.stdout}\n${res.stderr}`);
+        if(!version || TestMachine.compareVersions(version[0], minVersion) < 0) {
+          const found = version ? version[0] : "an unknown version";
+          throw new TestError(`'${argv[0]}' is ${found}, but ${minVersion} or newer is required.`,
+            TestError.codes.cliVersion);
+        }
+      });
+  }
+
+  /**
+   * Runs a command for a preflight check, turning a failure into a {@link TestError}.
+   * @param {Array<String>} argv the command to run.
+   * @param {String} message describes the failure.  The command's error output (if any) is appended.
+   * @param {Number} exitCode the exit code of the failure, from {@link TestError.codes}.
+   * @return {Promise<Object>} resolves to `{ stdout, stderr, code }` if the command succeeds.
+   * @protected
+  */
+  preflightCommand(argv, message, exitCode) {
+    return this.runner
+      .run(argv)
+      .catch(err => {
+        const detail = typeof err.code === "number" ? String(err.stderr || "").trim() : err.message;
+        throw new TestError(detail ? `${message}  ${detail}` : message, exitCode);
+      });
+  }
+
+  /**
+   * Compares two dotted version numbers.
+   * @param {String} a a version, such as `"1.10.2"`.
+   * @param {String} b another version.
+   * @return {Number} a negative number if `a` is older than `b`, a positive number if it is newer, or `0` if equal.
+  */
+  static compareVersions(a, b) {
+    const left = String(a).split(".").map(Number);
+    const right = String(b).split(".").map(Number);
+    for(let i = 0; i < Math.max(left.length, right.length); ++i) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if(diff !== 0) { return diff; }
+    }
+    return 0;
+  }
+
+  /**
+   * @typedef {Object} SSHOptions
+   * @property {Boolean} allowFailure if `true`, resolves with the {@link CommandResult} when the command exits with a
+   *   non-zero exit code, instead of rejecting with a {@link CommandError}.  Defaults to `false`.
+   * @property {Number} timeout if given, the local command running the remote command is killed if it is still running
+   *   after this many milliseconds, and the Promise rejects.
+  */
+
   /*eslint-disable no-unused-vars*/
   /**
    * Runs an SSH connection to the current testing machine.
    * @param {String} command a command to execute on the remote machine.  If not provided, an interactive SSH session
    *   is started.
-   * @return {Promise} resolves when the SSH connection terminates.
+   * @param {SSHOptions} [opts] options for running the command.
+   * @return {Promise<CommandResult>} resolves when the SSH connection terminates.  Rejects with a {@link CommandError}
+   *   if the command exits with a non-zero exit code, unless `opts.allowFailure` is set.
    * @abstract
   */
-  ssh(command) {
-    return Promise.reject(new Error("Abstract TestMachine#destroyInstance not implemented."));
+  ssh(command, opts) {
+    return Promise.reject(new Error("Abstract TestMachine#ssh not implemented."));
+  }
+
+  /**
+   * Copies a local file to the current testing machine.
+   * @param {String} localPath the file to copy.
+   * @param {String} remotePath the destination on the remote machine.
+   * @return {Promise} resolves when the file has been copied.
+   * @abstract
+  */
+  upload(localPath, remotePath) {
+    return Promise.reject(new Error("Abstract TestMachine#upload not implemented."));
+  }
+
+  /**
+   * Copies a file from the current testing machine to the local machine.
+   * @param {String} remotePath the file to copy from the remote machine.
+   * @param {String} localPath the local destination.
+   * @return {Promise} resolves when the file has been copied.
+   * @abstract
+  */
+  download(remotePath, localPath) {
+    return Promise.reject(new Error("Abstract TestMachine#download not implemented."));
+  }
+
+  /**
+   * Recursively copies a local directory to the current testing machine.
+   * @param {String} localPath the directory to copy.
+   * @param {String} remotePath the destination directory on the remote machine.
+   * @return {Promise} resolves when the directory has been copied.
+   * @abstract
+  */
+  uploadDirectory(localPath, remotePath) {
+    return Promise.reject(new Error("Abstract TestMachine#uploadDirectory not implemented."));
+  }
+
+  /**
+   * Recursively copies a directory from the current testing machine to the local machine.
+   * @param {String} remotePath the directory to copy from the remote machine.
+   * @param {String} localPath the local destination directory.
+   * @return {Promise} resolves when the directory has been copied.
+   * @abstract
+  */
+  downloadDirectory(remotePath, localPath) {
+    return Promise.reject(new Error("Abstract TestMachine#downloadDirectory not implemented."));
   }
   /*eslint-enable no-unused-vars*/
 
+  /*eslint-disable no-unused-vars*/
   /**
-   * Ensure that a newly created machine has started.
-   * @param {Integer} timeout the maxiumum time to wait.
-   * @param {Integer} [started] the timestamp of the first check executed.  Defaults to the current time.
-   * @param {Integer} [failures] the number of times that an SSH connection has been tried.  Defaults to `0`.
-   * @return {Promise} resolves when the machine has been started.
-  */
-  ensureStarted(timeout, started, failures) {
-    if(!started) { started = new Date(); }
-    if(!failures) { failures = 0; }
-    if(new Date() - started > timeout) {
-      throw new TestError(`Machine has not responded to SSH in ${timeout}ms (Attempted ${failures} connections)`);
-    }
-    return promiseTimeout(this.ssh("echo 'Test'"), this.opts.sshTimeout)
+   * Forwards a local port to a port on the machine, so tests can reach services (such as HTTP servers or databases)
+   * that have no public firewall rule.  Forwards stay open until {@link TestMachine#closeForwards} is called.
+   * @param {Number} remotePort the port on the machine.
+   * @param {Object} [opts] options for the forward.
+   * @param {Number} [opts.localPort] the local port to listen on.  Defaults to a free port.
+   * @return {Promise<Number>} resolves to the local port once it accepts connections.
+   * @abstract
+   * @example <caption>Requesting a page served on the machine</caption>
+   * machine
+   *   .forward(80)
+   *   .then(port => http.get(`http://localhost:${port}/`, res => console.log(res.statusCode)));
+  */
+  forward(remotePort, opts) {
+    return Promise.reject(new Error("Abstract TestMachine#forward not implemented."));
+  }
+  /*eslint-enable no-unused-vars*/
+
+  /**
+   * @typedef {Object} ImageOptions
+   * @property {String} family the image family the new image joins.
+   * @property {String} [name] the name of the new image.  Defaults to the family followed by a timestamp.
+   * @property {Object} [labels] labels added to the image, as `{ key: value }`.  The owner and run labels of
+   *   {@link TestMachine#instanceLabels} are always added.
+   * @property {Boolean} [deprecateOlder] if `true`, marks the other images in the family as deprecated, replaced by
+   *   the new image.  Defaults to `false`.
+  */
+
+  /*eslint-disable no-unused-vars*/
+  /**
+   * Saves the machine's disk as a reusable image, so the image that passed the tests is the one that gets used.  The
+   * machine is stopped first, so it can't be tested further.
+   * @param {ImageOptions} opts options for the new image.
+   * @return {Promise<Object>} resolves to `{ name, family }` of the created image.
+   * @abstract
+  */
+  createImage(opts) {
+    return Promise.reject(new Error("Abstract TestMachine#createImage not implemented."));
+  }
+  /*eslint-enable no-unused-vars*/
+
+  /**
+   * Closes every forward opened by {@link TestMachine#forward}.
+   * @return {void}
+  */
+  closeForwards() {
+    this.forwards.forEach(forward => forward.close());
+    this.forwards = [];
+  }
+
+  /**
+   * Chooses the local port for a forward.
+   * @param {Object} [opts] the options given to {@link TestMachine#forward}.
+   * @return {Promise<Number>} resolves to `opts.localPort`, or to a port that is currently free.
+   * @protected
+  */
+  localPort(opts) {
+    if(opts && opts.localPort) { return Promise.resolve(opts.localPort); }
+    return new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.on("error", reject);
+      server.listen(0, "127.0.0.1", () => {
+        const port = server.address().port;
+        server.close(() => resolve(port));
+      });
+    });
+  }
+
+  /**
+   * Starts a local command that forwards a port, such as `ssh -L`, and waits until the local port accepts
+   * connections.  Used by backends to implement {@link TestMachine#forward}.
+   * @param {Array<String>} argv the command that forwards the port.
+   * @param {Number} localPort the local port the command listens on.
+   * @param {Number} remotePort the port on the machine.
+   * @return {Promise<Number>} resolves to `localPort`.  Rejects with a {@link TestError} if the command can't be
+   *   started or exits, or the port doesn't accept connections within `sshTimeout`.
+   * @protected
+  */
+  tunnel(argv, localPort, remotePort) {
+    const child = this.runner.start(argv);
+    let exited = false;
+    let failed = null;
+    child.on("exit", () => exited = true);
+    child.on("error", err => {
+      failed = err;
+      exited = true;
+    });
+    this.forwards.push({ localPort, remotePort, close: () => exited || child.kill() });
+    const started = new Date();
+    const wait = () => {
+      if(failed) {
+        return Promise.reject(new TestError(`Unable to start forward to port ${remotePort}: ${failed.message}`));
+      }
+      if(exited) {
+        const stderr = child.stderrText.trim();
+        return Promise.reject(new TestError(`Forward to port ${remotePort} exited.${stderr ? `  ${stderr}` : ""}`));
+      }
+      if(new Date() - started > this.opts.sshTimeout) {
+        child.kill();
+        const message = `Forward to port ${remotePort} wasn't ready after ${this.opts.sshTimeout}ms.`;
+        return Promise.reject(new TestError(message));
+      }
+      return TestMachine
+        .canConnect(localPort)
+        .then(connected => connected ? localPort : sleep(100).then(wait));
+    };
+    return wait();
+  }
+
+  /**
+   * Checks if a local port accepts connections.
+   * @param {Number} port the local port.
+   * @return {Promise<Boolean>} resolves to `true` if a connection could be opened.
+  */
+  static canConnect(port) {
+    return new Promise(resolve => {
+      const socket = net.connect(port, "127.0.0.1");
+      socket.once("connect", () => {
+        socket.destroy();
+        resolve(true);
+      });
+      socket.once("error", () => resolve(false));
+    });
+  }
+
+  /**
+   * Runs the local command that executes a remote command, and wraps the outcome in a {@link CommandResult}.  Used by
+   * backends to implement {@link TestMachine#ssh}.
+   * @param {String} command the remote command being run.
+   * @param {Array<String>} argv the local command that runs `command` on the remote machine.
+   * @param {SSHOptions} [opts] options for running the command.
+   * @return {Promise<CommandResult>} resolves to the result of the command.  Rejects with a {@link CommandError} if the
+   *   command exits with a non-zero exit code, unless `opts.allowFailure` is set.
+   * @protected
+  */
+  remote(command, argv, opts) {
+    const started = new Date();
+    return this.runner
+      .run(argv, opts && opts.timeout ? { timeout: opts.timeout } : undefined)
+      .catch(err => {
+        if(typeof err.code !== "number") { throw err; }
+        return err;
+      })
+      .then(res => {
+        const result = new CommandResult({
+          command,
+          exitCode: res.code,
+          stdout: res.stdout,
+          stderr: res.stderr,
+          duration: new Date() - started,
+        });
+        if(!result.success && !(opts && opts.allowFailure)) {
+          throw new CommandError(result);
+        }
+        return result;
+      });
+  }
+
+  /**
+   * The local `cloud-config` file the machine is provisioned with, if any.  When set, {@link CloudMachineTest} reports
+   * how `cloud-init` applied it before running other tests.
+   * @return {null|String} the path to the file, or `null` if the backend doesn't use `cloud-init`.
+  */
+  cloudConfig() {
+    return null;
+  }
+
+  /**
+   * @typedef {Object} DiagnosticCollector
+   * @property {String} name identifies the collector in the `diagnostics` option, such as `"journal"`.
+   * @property {String} file the file the output is saved to, inside the diagnostics directory of the run.
+   * @property {Function} collect resolves to the text to save.
+  */
+
+  /**
+   * The collectors that gather evidence from the machine when a test fails, run by {@link Diagnostics}.  By default,
+   * saves the journal of the current boot, `dmesg`, the `cloud-init` logs and the failed `systemd` units.  Backends
+   * add collectors that don't need SSH, such as the serial console output.
+   * @return {Array<DiagnosticCollector>} every collector this backend provides.
+   * @protected
+  */
+  diagnosticCollectors() {
+    return [
+      this.remoteCollector("journal", "journal.log", "sudo journalctl --boot --no-pager"),
+      this.remoteCollector("dmesg", "dmesg.log", "sudo dmesg"),
+      this.remoteCollector("cloud-init", "cloud-init.log",
+        "sudo cat /var/log/cloud-init.log /var/log/cloud-init-output.log"),
+      this.remoteCollector("failed-units", "failed-units.log", "systemctl list-units --failed --no-pager"),
+    ];
+  }
+
+  /**
+   * The collectors to run when a test fails: those named in the `diagnostics` option, or every collector from
+   * {@link TestMachine#diagnosticCollectors}.
+   * @return {Array<DiagnosticCollector>} the collectors to run.
+  */
+  diagnostics() {
+    const names = this.opts.diagnostics;
+    const collectors = this.diagnosticCollectors();
+    if(!names) { return collectors; }
+    return collectors.filter(collector => names.indexOf(collector.name) !== -1);
+  }
+
+  /**
+   * Creates a collector that saves the output of a command run on the machine.
+   * @param {String} name the name of the collector.
+   * @param {String} file the file the output is saved to.
+   * @param {String} command the command to run.
+   * @return {DiagnosticCollector} the collector.  The saved text includes the command and its exit code.
+   * @protected
+  */
+  remoteCollector(name, file, command) {
+    return { name, file, collect: () => this.ssh(command, { allowFailure: true }).then(res => res.format()) };
+  }
+
+  /**
+   * Waits for a condition on the machine, retrying with backoff.  See {@link Waiter}.
+   * @param {String} description what is being waited for, used in progress and failure messages.
+   * @param {Function} check checks the condition, returning a Promise.  Resolving to `false` or rejecting means it
+   *   should be tried again.  Given `{ timeout }` for the attempt, which can be passed to {@link TestMachine#ssh} so a
+   *   hung command is killed instead of being left running.
+   * @param {WaitOptions} [opts] options to configure the wait.  `attemptTimeout` defaults to `sshTimeout`.
+   * @return {Promise} resolves to the result of the successful check.  Rejects with a {@link WaitTimeoutError} if the
+   *   condition isn't met within `opts.timeout`.
+   * @example <caption>Waiting until a web server responds</caption>
+   * machine.waitFor("web server", attempt => machine.ssh("curl -sf http://localhost/", attempt), {
+   *   timeout: 5 * 60 * 1000,
+   * });
+  */
+  waitFor(description, check, opts) {
+    return new Waiter(description, check, merge({ attemptTimeout: this.opts.sshTimeout }, opts)).wait();
+  }
+
+  /**
+   * Waits until the machine accepts SSH connections.
+   * @param {WaitOptions} [opts] options to configure the wait.
+   * @return {Promise<CommandResult>} resolves once a command has run over SSH.
+  */
+  waitForSSH(opts) {
+    return this.waitFor("SSH", attempt => this.ssh("true", attempt), opts);
+  }
+
+  /**
+   * Waits until `cloud-init` has finished provisioning the machine, using `cloud-init status --wait`.  Stops waiting
+   * early if `cloud-init` reports an error, or isn't installed.
+   * @param {WaitOptions} [opts] options to configure the wait.  `timeout` defaults to 10 minutes, and
+   *   `attemptTimeout` to `timeout`, as `status --wait` blocks until `cloud-init` is done.
+   * @return {Promise<CommandResult>} resolves to the result of `cloud-init status --wait`.
+  */
+  waitForCloudInit(opts) {
+    opts = merge({ timeout: 10 * 60 * 1000 }, opts);
+    opts.attemptTimeout = opts.attemptTimeout || opts.timeout;
+    return this.waitFor("cloud-init", attempt => this
+      .ssh("cloud-init status --wait", merge({ allowFailure: true }, attempt))
+      .then(res => {
+        if(res.success || /^status: (degraded )?done/m.test(res.stdout)) { return res; }
+        const err = new CommandError(res);
+        if(res.exitCode === 127 || /^status: error/m.test(res.stdout)) { Waiter.fatal(err); }
+        throw err;
+      }), opts);
+  }
+
+  /**
+   * Waits until a process on the machine is listening on a port.
+   * @param {Number} port the port number.
+   * @param {WaitOptions} [opts] options to configure the wait.
+   * @param {String} [opts.protocol] either `"tcp"` or `"udp"`.  Defaults to `"tcp"`.
+   * @return {Promise} resolves once the port is listening.
+  */
+  waitForPort(port, opts) {
+    const resource = this.port(port, opts && opts.protocol);
+    return this.waitFor(resource.describe(), () => resource.isListening(), opts);
+  }
+
+  /**
+   * Waits until a file exists on the machine.
+   * @param {String} path the absolute path to the file.
+   * @param {WaitOptions} [opts] options to configure the wait.
+   * @param {Boolean} [opts.sudo] if `true`, checks the file with `sudo`.
+   * @return {Promise} resolves once the file exists.
+  */
+  waitForFile(path, opts) {
+    const resource = this.file(path, opts);
+    return this.waitFor(resource.describe(), () => resource.exists(), opts);
+  }
+
+  /**
+   * Waits until a line in a log file on the machine matches a pattern.
+   * @param {String} path the absolute path to the log file.
+   * @param {RegExp} pattern the pattern to match each line against.
+   * @param {WaitOptions} [opts] options to configure the wait.
+   * @param {Boolean} [opts.sudo] if `true`, reads the file with `sudo`.
+   * @return {Promise<String>} resolves to the first matching line.
+   * @example <caption>Waiting for provisioning to finish</caption>
+   * machine.waitForLogLine("/var/log/cloud-init-output.log", /^Cloud-init .* finished/);
+  */
+  waitForLogLine(path, pattern, opts) {
+    const command = `${opts && opts.sudo ? "sudo " : ""}cat ${CommandRunner.quote(path)}`;
+    return this.waitFor(`${pattern} in ${path}`, attempt => this
+      .ssh(command, attempt)
+      .then(res => res.stdout.split("\n").filter(line => pattern.test(line))[0] || false), opts);
+  }
+
+  /**
+   * Ensure that a newly created machine has started.  If `waitForCloudInit` is set, also waits for `cloud-init` to
+   * finish.
+   * @param {Integer} timeout the maxiumum time to wait for SSH connections.
+   * @return {Promise} resolves when the machine has been started.  Rejects with a {@link WaitTimeoutError} if it
+   *   doesn't accept SSH connections within `timeout`.
+  */
+  ensureStarted(timeout) {
+    const started = new Date();
+    return this
+      .waitForSSH({ timeout })
       .then(() => console.log(`Machine responded to SSH connections in ${new Date() - started}ms`))
-      .catch(() => sleep(100).then(() => this.ensureStarted(timeout, started, ++failures)));
+      .then(() => {
+        if(!this.opts.waitForCloudInit) { return; }
+        return this
+          .waitForCloudInit()
+          .then(() => console.log(`cloud-init finished after ${new Date() - started}ms`));
+      });
+  }
+
+  /**
+   * Reboots the machine, and waits until it has booted again.  Waits for the boot ID
+   * (`/proc/sys/kernel/random/boot_id`) to change, so the machine isn't mistaken as ready before it has gone down,
+   * then uses {@link TestMachine#ensureStarted}.
+   * @param {Integer} [timeout] the maximum time to wait for the machine to come back.  Defaults to `sshTimeout`.
+   * @return {Promise} resolves when the machine accepts SSH connections after rebooting.
+  */
+  reboot(timeout) {
+    timeout = timeout || this.opts.sshTimeout;
+    const bootId = attempt => this.ssh("cat /proc/sys/kernel/random/boot_id", attempt).then(res => res.stdout);
+    let before;
+    return bootId()
+      .then(id => before = id)
+      .then(() => this.ssh("sudo systemctl reboot || sudo reboot", { allowFailure: true }).catch(() => null))
+      .then(() => this.waitFor("reboot", attempt => bootId(attempt).then(id => id !== before), { timeout }))
+      .then(() => this.ensureStarted(timeout));
+  }
+
+  /**
+   * Applies the machine's provisioning again by running `reprovisionCommand`.  Backends that provision the machine
+   * themselves may re-run their provisioning instead.
+   * @return {Promise<CommandResult>} resolves when provisioning has been applied.  Rejects with a {@link TestError}
+   *   if no `reprovisionCommand` is configured.
+  */
+  reprovision() {
+    if(!this.opts.reprovisionCommand) {
+      return Promise.reject(new TestError("No reprovisionCommand configured.", TestError.codes.configuration));
+    }
+    return this.ssh(this.opts.reprovisionCommand);
   }
 
   /**
-   * Ensure that a `systemd` service is running.
+   * Ensure that a `systemd` service is running.  Stops waiting early if the service has failed.
    * @param {String} service the name of the `systemd` service to check.
    * @param {Integer} timeout the maxiumum time to wait.
-   * @param {Integer} [started] the timestamp of the first check executed.  Defaults to the current time.
-   * @return {Promise} resolves when the session is running.
+   * @return {Promise} resolves when the service is running.  Rejects with a {@link WaitTimeoutError} if it isn't
+   *   active within `timeout`.
   */
-  ensureServiceStarted(service, timeout, started) {
-    if(!started) { started = new Date(); }
-    if(new Date() - started > timeout) {
-      throw new TestError(`Service ${service} has not started after ${timeout}ms.`);
-    }
-    return this
-      .ssh(`systemctl is-active ${service}`)
-      .catch(() => sleep(100).then(() => this.ensureServiceStarted(service, timeout, started)));
+  ensureServiceStarted(service, timeout) {
+    return this.waitFor(`Service ${service}`, attempt => this
+      .ssh(`systemctl is-active ${CommandRunner.quote(service)}`, merge({ allowFailure: true }, attempt))
+      .then(res => {
+        if(res.success) { return res; }
+        const err = new CommandError(res);
+        if(res.stdout === "failed") { Waiter.fatal(err); }
+        throw err;
+      }), { timeout });
+  }
+
+  /**
+   * Inspect a file or directory on the machine.
+   * @param {String} path the absolute path to the file.
+   * @param {Object} [opts] options for inspecting the file.  See {@link FileResource}.
+   * @return {FileResource} the file, with query and assertion methods.
+  */
+  file(path, opts) {
+    return new FileResource(this, path, opts);
+  }
+
+  /**
+   * Inspect a `systemd` service on the machine.
+   * @param {String} name the name of the service.
+   * @return {ServiceResource} the service, with query and assertion methods.
+  */
+  service(name) {
+    return new ServiceResource(this, name);
+  }
+
+  /**
+   * Inspect a network port on the machine.
+   * @param {Number} port the port number.
+   * @param {String} [protocol] either `"tcp"` or `"udp"`.  Defaults to `"tcp"`.
+   * @return {PortResource} the port, with query and assertion methods.
+  */
+  port(port, protocol) {
+    return new PortResource(this, port, protocol);
+  }
+
+  /**
+   * Inspect a system package on the machine.
+   * @param {String} name the name of the package.
+   * @return {PackageResource} the package, with query and assertion methods.
+  */
+  package(name) {
+    return new PackageResource(this, name);
+  }
+
+  /**
+   * Inspect a user account on the machine.
+   * @param {String} name the name of the user.
+   * @return {UserResource} the user, with query and assertion methods.
+  */
+  user(name) {
+    return new UserResource(this, name);
   }
 
 }
@@ -0,0 +1,69 @@
+const CommandRunner = require("./CommandRunner");
+const Resource = require("./Resource");
+
+/**
+ * A user account on a {@link TestMachine}.  Create with {@link TestMachine#user}.
+ * @example <caption>Checking a service account</caption>
+ * out.it("should add 'deploy' to 'docker'", () => {
+ *   const deploy = machine.user("deploy");
+ *   return deploy.shouldExist().then(() => deploy.shouldBeInGroup("docker"));
+ * });
+*/
+class UserResource extends Resource {
+
+  /**
+   * @param {TestMachine} machine the machine the user is on.
+   * @param {String} name the name of the user.
+  */
+  constructor(machine, name) {
+    super(machine, "user", name);
+    this.quoted = CommandRunner.quote(name);
+  }
+
+  /**
+   * Checks if the user exists.
+   * @return {Promise<Boolean>} resolves to `true` if the user exists.
+  */
+  exists() {
+    return this.run(`id -u ${this.quoted}`).then(res => res.success);
+  }
+
+  /**
+   * Fetches the groups the user belongs to.
+   * @return {Promise<null|Array<String>>} resolves to the names of the user's groups, or `null` if the user doesn't
+   *   exist.
+  */
+  groups() {
+    return this.run(`id -nG ${this.quoted}`).then(res => res.success ? res.stdout.split(/\s+/) : null);
+  }
+
+  /**
+   * Asserts that the user exists.
+   * @return {Promise} rejects with an `AssertionError` if the user doesn't exist.
+  */
+  shouldExist() {
+    return this.exists().then(exists => this.check(exists, "to exist"));
+  }
+
+  /**
+   * Asserts that the user doesn't exist.
+   * @return {Promise} rejects with an `AssertionError` if the user exists.
+  */
+  shouldNotExist() {
+    return this.exists().then(exists => this.check(!exists, "not to exist"));
+  }
+
+  /**
+   * Asserts that the user belongs to a group.
+   * @param {String} group the name of the group.
+   * @return {Promise} rejects with an `AssertionError` if the user isn't in the group.
+  */
+  shouldBeInGroup(group) {
+    return this
+      .groups()
+      .then(groups => this.check(groups !== null && groups.indexOf(group) !== -1, `to be in group ${group}`, groups));
+  }
+
+}
+
+module.exports = UserResource;
@@ -0,0 +1,28 @@
+const TestError = require("./TestError");
+
+/**
+ * Thrown by {@link Waiter#wait} when a condition isn't met before the timeout.  Includes the failure from the last
+ * attempt, so the reason the machine wasn't ready isn't lost.
+*/
+class WaitTimeoutError extends TestError {
+
+  /**
+   * @param {String} description what was being waited for, such as `"SSH"`.
+   * @param {Number} elapsed how long was spent waiting, in milliseconds.
+   * @param {Number} attempts the number of times the condition was checked.
+   * @param {Error} lastError the failure from the last attempt.
+   * @param {Number} [exitCode] the code to exit the process with.  Defaults to `1`.
+  */
+  constructor(description, elapsed, attempts, lastError, exitCode) {
+    super(`${description} wasn't ready after ${elapsed}ms (${attempts} attempts).  Last failure: ${lastError.message}`,
+      exitCode);
+    this.description = description;
+    this.elapsed = elapsed;
+    this.attempts = attempts;
+    this.lastError = lastError;
+    this.name = "WaitTimeoutError";
+  }
+
+}
+
+module.exports = WaitTimeoutError;
@@ -0,0 +1,129 @@
+const EventEmitter = require("events");
+const promiseTimeout = require("promise-timeout").timeout;
+const sleep = require("promise.delay");
+const TestError = require("./TestError");
+const WaitTimeoutError = require("./WaitTimeoutError");
+
+/**
+ * @typedef {Object} WaitOptions
+ * @property {Number} timeout the maximum time to wait, in milliseconds.  Defaults to 1 minute.
+ * @property {Number} attemptTimeout the maximum time a single check may take, in milliseconds.  Checks that take
+ *   longer count as a failed attempt.  Defaults to `timeout`.
+ * @property {Number} initialDelay the delay after the first failed attempt, in milliseconds.  Defaults to `100`.
+ * @property {Number} maxDelay the longest delay between attempts, in milliseconds.  Defaults to 5 seconds.
+ * @property {Number} factor the delay is multiplied by this after each failed attempt.  Defaults to `2`.
+ * @property {Number} jitter the fraction each delay is randomly varied by, so several waits don't retry in lockstep.
+ *   Defaults to `0.2`.
+ * @property {Function} progress if given, added as a listener for the `progress` event.
+*/
+
+/**
+ * Retries a check until it succeeds, with exponential backoff between attempts.  The check is a function returning a
+ * Promise: resolving to anything other than `false` means the condition is met, while resolving to `false` or
+ * rejecting means it should be tried again.  Errors marked with {@link Waiter.fatal} stop waiting immediately, for
+ * failures that retrying won't fix.
+ *
+ * The check is given `{ timeout }`, the time the attempt may take.  An attempt that takes longer is counted as failed,
+ * but the Waiter can't stop the work the check started: checks that run commands should pass `timeout` on (such as
+ * to {@link TestMachine#ssh}) so the command is killed instead of being left running alongside the next attempt.
+ *
+ * Emits `progress` with `{ attempt, elapsed, delay, error }` after each failed attempt, and `ready` with
+ * `{ attempt, elapsed }` once the condition is met.
+ * @example <caption>Waiting for a health check to pass</caption>
+ * new Waiter("health check", attempt => machine.ssh("curl -sf localhost/health", attempt), { timeout: 30 * 1000 })
+ *   .on("progress", p => console.log(`Attempt ${p.attempt} failed: ${p.error.message}`))
+ *   .wait();
+*/
+class Waiter extends EventEmitter {
+
+  /**
+   * @param {String} description what is being waited for, used in progress and failure messages.
+   * @param {Function} check checks the condition, returning a Promise.  Given `{ timeout }` for the attempt.
+   * @param {WaitOptions} [opts] options to configure the wait.
+  */
+  constructor(description, check, opts) {
+    super();
+    opts = opts || {};
+    this.description = description;
+    this.check = check;
+    this.timeout = opts.timeout || 60 * 1000;
+    this.attemptTimeout = opts.attemptTimeout || this.timeout;
+    this.initialDelay = typeof opts.initialDelay === "number" ? opts.initialDelay : 100;
+    this.maxDelay = opts.maxDelay || 5 * 1000;
+    this.factor = opts.factor || 2;
+    this.jitter = typeof opts.jitter === "number" ? opts.jitter : 0.2;
+    if(opts.progress) { this.on("progress", opts.progress); }
+  }
+
+  /**
+   * Marks an error as fatal, so {@link Waiter#wait} rejects with it instead of trying again.
+   * @param {Error} err the error to mark.
+   * @return {Error} `err`.
+  */
+  static fatal(err) {
+    err.fatal = true;
+    return err;
+  }
+
+  /**
+   * Calculates the delay before the next attempt.
+   * @param {Number} attempt the number of the attempt that just failed, starting at `1`.
+   * @return {Number} the delay, in milliseconds.
+   * @private
+  */
+  delay(attempt) {
+    const delay = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, attempt - 1));
+    return Math.round(delay * (1 - this.jitter + 2 * this.jitter * Math.random()));
+  }
+
+  /**
+   * Checks the condition once, limited to `attemptTimeout` and the time remaining.
+   * @param {Number} remaining the time left to wait, in milliseconds.
+   * @return {Promise} resolves to the result of the check, or rejects if it failed or took too long.
+   * @private
+  */
+  attempt(remaining) {
+    const limit = Math.max(1, Math.min(this.attemptTimeout, remaining));
+    return promiseTimeout(Promise.resolve().then(() => this.check({ timeout: limit })), limit)
+      .catch(err => {
+        if(err.name !== "TimeoutError") { throw err; }
+        throw new TestError(`Attempt didn't finish within ${limit}ms.`);
+      })
+      .then(value => {
+        if(value === false) { throw new TestError(`${this.description} isn't ready yet.`); }
+        return value;
+      });
+  }
+
+  /**
+   * Checks the condition until it is met.
+   * @return {Promise} resolves to the result of the successful check.  Rejects with a {@link WaitTimeoutError} if the
+   *   condition isn't met within `timeout`, or with the error from the check if it is marked as fatal.
+  */
+  wait() {
+    const started = new Date();
+    let attempt = 0;
+    const next = () => {
+      ++attempt;
+      return this
+        .attempt(this.timeout - (new Date() - started))
+        .then(value => {
+          this.emit("ready", { attempt, elapsed: new Date() - started });
+          return value;
+        }, error => {
+          if(error.fatal) { throw error; }
+          const elapsed = new Date() - started;
+          if(elapsed >= this.timeout) {
+            throw new WaitTimeoutError(this.description, elapsed, attempt, error);
+          }
+          const delay = Math.min(this.delay(attempt), this.timeout - elapsed);
+          this.emit("progress", { attempt, elapsed, delay, error });
+          return sleep(delay).then(next);
+        });
+    };
+    return next();
+  }
+
+}
+
+module.exports = Waiter;
@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const CLI = require("../CLI");
+
+new CLI(process.argv.slice(2)).run();
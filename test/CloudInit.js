@@ -0,0 +1,78 @@
+const assert = require("assert");
+const CloudInit = require("../CloudInit");
+
+describe("CloudInit", function() {
+
+  const config = (...lines) => [ "#cloud-config" ].concat(lines, [ "" ]).join("\n");
+
+  describe(".validate", function() {
+
+    it("accepts a valid cloud-config", function() {
+      assert.deepEqual(CloudInit.validate(config(
+        "package_update: true",
+        "packages: [ nginx ]",
+        "users: [ default, { name: app } ]",
+        "write_files:",
+        "  - path: /etc/motd",
+        "    permissions: '0644'",
+        "    content: hi"
+      )), []);
+    });
+
+    it("skips other user-data formats", function() {
+      assert.deepEqual(CloudInit.validate("#!/bin/sh\necho hi\n"), []);
+    });
+
+    it("requires the #cloud-config header", function() {
+      assert.deepEqual(CloudInit.validate("packages: [ nginx ]\n"), [ "The first line must be '#cloud-config'." ]);
+    });
+
+    it("reports the line of invalid YAML", function() {
+      const problems = CloudInit.validate(config("packages: [ nginx", "runcmd: []"));
+      assert.equal(problems.length, 1);
+      assert.ok(/^Invalid YAML on line \d+: /.test(problems[0]), problems[0]);
+    });
+
+    it("requires a mapping at the top level", function() {
+      assert.deepEqual(CloudInit.validate(config("- nginx")), [ "The top level must be a mapping of keys to values." ]);
+    });
+
+    it("reports keys with the wrong type", function() {
+      assert.deepEqual(CloudInit.validate(config("packages: nginx", "package_update: yes please", "custom: 1")), [
+        "'packages' must be array, not string.",
+        "'package_update' must be boolean, not string.",
+      ]);
+    });
+
+    it("reports malformed write_files and users entries", function() {
+      assert.deepEqual(CloudInit.validate(config(
+        "write_files:",
+        "  - content: hi",
+        "  - path: /etc/motd",
+        "    permissions: 0644",
+        "users: [ { groups: sudo } ]"
+      )), [
+        "'write_files' entry 0 must be a mapping with a 'path'.",
+        "'write_files' permissions for /etc/motd must be quoted, such as '0644'.",
+        "'users' entry 0 must be 'default' or a mapping with a 'name'.",
+      ]);
+    });
+
+  });
+
+  describe(".parseErrors", function() {
+
+    it("splits errors by module", function() {
+      assert.deepEqual(CloudInit.parseErrors({ v1: { errors: [
+        "('scripts-user', RuntimeError('Runparts: 1 failures in 1 attempted commands'))",
+        "Something else",
+      ] } }), [
+        { module: "scripts-user", error: "RuntimeError('Runparts: 1 failures in 1 attempted commands')" },
+        { module: null, error: "Something else" },
+      ]);
+      assert.deepEqual(CloudInit.parseErrors(null), []);
+    });
+
+  });
+
+});
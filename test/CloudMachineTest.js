@@ -0,0 +1,287 @@
+const assert = require("assert");
+const CloudMachineTest = require("../CloudMachineTest");
+const FormatTestOutput = require("../FormatTestOutput");
+const IO = require("../IO");
+const TestMachine = require("../TestMachine");
+
+/**
+ * A machine that records the steps taken, without creating anything.
+*/
+class FakeMachine extends TestMachine {
+
+  constructor(opts) {
+    super(opts);
+    this.steps = [];
+  }
+
+  getInstances() {
+    return Promise.resolve([]);
+  }
+
+  createInstance() {
+    this._image = "test-abc";
+    this.steps.push("create");
+    return Promise.resolve();
+  }
+
+  destroyInstance() {
+    if(this._image) { this.steps.push("destroy"); }
+    return Promise.resolve();
+  }
+
+  ssh(command) {
+    this.steps.push(command ? `ssh ${command}` : "ssh");
+    return Promise.resolve();
+  }
+
+  createImage(opts) {
+    this.steps.push(`image ${opts.family}`);
+    return Promise.resolve({ name: `${opts.family}-1`, family: opts.family });
+  }
+
+}
+
+describe("CloudMachineTest", function() {
+
+  const create = (answers, tests) => {
+    const test = new CloudMachineTest();
+    test.exit = false;
+    test.diagnosticsDir = null;
+    test.machine = new FakeMachine();
+    test.out = new FormatTestOutput({ reporters: [] });
+    test.io = new IO({ answers: Object.assign({ ssh: "N" }, answers), interactiveKeys: [ "ssh" ] });
+    test.io.status = () => null;
+    test.automatedTests = tests || (() => test.out.it("passes", () => true));
+    return test;
+  };
+
+  describe("#test", function() {
+
+    it("resolves with a zero exit code if every test passed", function() {
+      return create().test().then(result => {
+        assert.equal(result.exitCode, 0);
+        assert.equal(result.success, true);
+      });
+    });
+
+    it("fails the run if a failure was allowed with allowAssertion", function() {
+      const test = create({}, () => test.out.section("web", () => test.out
+        .it("fails", () => assert.equal(1, 2))
+        .catch(err => test.out.allowAssertion(err))
+        .then(() => test.out.it("passes", () => true))));
+      return test.test().then(result => {
+        assert.equal(test.out.hasFailures(), true);
+        assert.deepEqual(result.stats, { passed: 1, failed: 1, skipped: 0, bypassed: 0, errors: 0 });
+        assert.equal(result.exitCode, 1);
+        assert.equal(result.success, false);
+        assert.equal(result.phases.find(phase => phase.name === "runTests").state, "passed");
+        assert.deepEqual(test.machine.steps, [ "create", "destroy" ]);
+      });
+    });
+
+  });
+
+  describe("#promoteImage", function() {
+
+    it("creates an image once every test has passed", function() {
+      const test = create();
+      test.promote = { family: "web" };
+      return test.test().then(result => {
+        assert.deepEqual(result.image, { name: "web-1", family: "web" });
+        assert.deepEqual(test.machine.steps, [ "create", "image web", "destroy" ]);
+      });
+    });
+
+    it("doesn't create an image after a manual SSH session unless confirmed", function() {
+      const test = create({ ssh: "Y" });
+      test.promote = { family: "web" };
+      return test.test().then(result => {
+        assert.equal(result.image, null);
+        assert.equal(result.exitCode, 0);
+        assert.deepEqual(test.machine.steps, [ "create", "ssh", "destroy" ]);
+      });
+    });
+
+    it("creates an image after a manual SSH session if confirmed", function() {
+      const test = create({ "ssh": "Y", "promote-after-ssh": "Y" });
+      test.promote = { family: "web" };
+      return test.test().then(result => {
+        assert.equal(result.image.family, "web");
+        assert.deepEqual(test.machine.steps, [ "create", "ssh", "image web", "destroy" ]);
+      });
+    });
+
+  });
+
+  describe("#runMatrix", function() {
+
+    const quietly = promise => {
+      const log = console.log;
+      console.log = () => null;
+      const restore = () => console.log = log;
+      return promise().then(value => {
+        restore();
+        return value;
+      }, err => {
+        restore();
+        throw err;
+      });
+    };
+
+    const matrix = (count, concurrency) => {
+      const test = create();
+      const running = { now: 0, max: 0 };
+      test.concurrency = concurrency;
+      test.matrix = [];
+      for(let i = 0; i < count; ++i) {
+        const machine = new FakeMachine();
+        machine.createInstance = () => {
+          running.max = Math.max(running.max, ++running.now);
+          machine._image = `test-${i}`;
+          return new Promise(resolve => setTimeout(resolve, 10));
+        };
+        machine.destroyInstance = () => {
+          --running.now;
+          return Promise.resolve();
+        };
+        test.matrix.push({ name: `config-${i}`, machine });
+      }
+      return { test, running };
+    };
+
+    it("runs at most concurrency configurations at once", function() {
+      const { test, running } = matrix(5, 2);
+      return quietly(() => test.runMatrix()).then(results => {
+        assert.equal(running.max, 2);
+        assert.equal(running.now, 0);
+        assert.deepEqual(results.map(result => result.name), [ "config-0", "config-1", "config-2", "config-3",
+          "config-4" ]);
+        assert.deepEqual(results.map(result => result.instance.name), [ "test-0", "test-1", "test-2", "test-3",
+          "test-4" ]);
+      });
+    });
+
+    it("sets the exit code from the first failed configuration", function() {
+      const { test } = matrix(3, 3);
+      test.automatedTests = function() {
+        return this.out.it("passes", () => assert.notEqual(this.config.name, "config-1"));
+      };
+      return quietly(() => test.runMatrix()).then(results => {
+        assert.deepEqual(results.map(result => result.exitCode), [ 0, 1, 0 ]);
+        assert.equal(test.exitCode, 1);
+      });
+    });
+
+  });
+
+  describe("#matrixConcurrency", function() {
+
+    const limit = (concurrency, maxInstances, running, configs) => {
+      const test = create();
+      test.concurrency = concurrency;
+      test.maxInstances = maxInstances;
+      test.matrix = new Array(configs).fill({});
+      test.machine.getInstances = () => Promise.resolve(new Array(running).fill({}));
+      return test.matrixConcurrency();
+    };
+
+    it("is limited by concurrency, free instances and the number of configurations", function() {
+      return Promise
+        .all([
+          limit(4, 10, 0, 8),
+          limit(4, 10, 8, 8),
+          limit(4, 10, 0, 3),
+          limit(4, 10, 12, 8),
+        ])
+        .then(limits => assert.deepEqual(limits, [ 4, 2, 3, 1 ]));
+    });
+
+  });
+
+  describe("#use", function() {
+
+    const recorder = events => {
+      const record = name => (...args) => {
+        const arg = args[0] && args[0].name ? ` ${args[0].name}` : "";
+        events.push(`${name}${arg}`);
+      };
+      return {
+        name: "recorder",
+        install: () => events.push("install"),
+        phaseStart: record("phaseStart"),
+        phaseError: record("phaseError"),
+        phaseEnd: record("phaseEnd"),
+        instanceCreated: record("instanceCreated"),
+        instanceDestroyed: record("instanceDestroyed"),
+        end: result => events.push(`end ${result.exitCode}`),
+      };
+    };
+
+    it("calls plugins for each lifecycle event, in order", function() {
+      const events = [];
+      const test = create().use(recorder(events));
+      return test.test().then(() => assert.deepEqual(events, [
+        "install",
+        "phaseStart prepareEnvironment",
+        "phaseEnd prepareEnvironment",
+        "phaseStart setup",
+        "instanceCreated test-abc",
+        "phaseEnd setup",
+        "phaseStart runTests",
+        "phaseEnd runTests",
+        "phaseStart manualSteps",
+        "phaseEnd manualSteps",
+        "phaseStart cleanup",
+        "instanceDestroyed test-abc",
+        "phaseEnd cleanup",
+        "end 0",
+      ]));
+    });
+
+    it("reports a failed phase before it ends", function() {
+      const events = [];
+      const test = create().use(recorder(events));
+      test.machine.createInstance = () => Promise.reject(new Error("Quota exceeded."));
+      return test.test().then(result => {
+        assert.equal(result.exitCode, 1);
+        const start = events.indexOf("phaseStart setup");
+        assert.deepEqual(events.slice(start, start + 3), [ "phaseStart setup", "phaseError setup", "phaseEnd setup" ]);
+        assert.equal(events[events.length - 1], "end 1");
+      });
+    });
+
+    it("waits for plugins, and emits events to listeners first", function() {
+      const events = [];
+      const test = create()
+        .use(tester => tester.on("phaseEnd", phase => events.push(`listener ${phase.name}`)))
+        .use({ phaseEnd: phase => new Promise(resolve => setTimeout(() => {
+          events.push(`plugin ${phase.name}`);
+          resolve();
+        }, 5)) })
+        .use({ phaseStart: phase => events.push(`start ${phase.name}`) });
+      return test.test().then(() => assert.deepEqual(events.slice(0, 4), [
+        "start prepareEnvironment",
+        "listener prepareEnvironment",
+        "plugin prepareEnvironment",
+        "start setup",
+      ]));
+    });
+
+    it("doesn't fail the run if a plugin fails", function() {
+      const error = console.error;
+      const logged = [];
+      console.error = message => logged.push(message);
+      const test = create().use({ name: "broken", end: () => Promise.reject(new Error("Broken.")) });
+      return test.test().then(result => {
+        console.error = error;
+        assert.equal(result.exitCode, 0);
+        assert.deepEqual(logged, [ "Plugin broken failed to handle 'end':" ]);
+      }, err => {
+        console.error = error;
+        throw err;
+      });
+    });
+
+  });
+
+});
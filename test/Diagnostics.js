@@ -0,0 +1,93 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CommandError = require("../CommandError");
+const CommandResult = require("../CommandResult");
+const Diagnostics = require("../Diagnostics");
+const FormatTestOutput = require("../FormatTestOutput");
+
+describe("Diagnostics", function() {
+
+  const commandError = () => new CommandError(new CommandResult({
+    command: "systemctl is-active nginx",
+    exitCode: 3,
+    stdout: "inactive",
+  }));
+
+  describe(".describeFailures", function() {
+
+    it("describes each failed phase and test, with command output", function() {
+      const out = new FormatTestOutput({ reporters: [] });
+      const failed = commandError();
+      return out
+        .section("web", () => out.it("serves pages", () => { throw failed; }))
+        .catch(() => null)
+        .then(() => {
+          const setup = new Error("Setup failed.");
+          const text = Diagnostics.describeFailures([ setup, failed ], out.root);
+          const blocks = text.split("\n\n");
+          assert.equal(blocks.length, 2);
+          assert.equal(blocks[0].split("\n")[0], "Error:");
+          assert.ok(blocks[0].indexOf("Setup failed.") !== -1);
+          assert.equal(blocks[1].split("\n")[0], "Failed test: web > serves pages");
+          assert.ok(blocks[1].indexOf("$ systemctl is-active nginx\nExited with code 3") !== -1, blocks[1]);
+          assert.ok(blocks[1].indexOf("stdout:\n  inactive") !== -1, blocks[1]);
+        });
+    });
+
+    it("describes errors without test results", function() {
+      assert.equal(Diagnostics.describeFailures([ "Timed out." ]), "Error:\nTimed out.");
+      assert.equal(Diagnostics.describeFailures([]), "");
+    });
+
+  });
+
+  describe("#collect", function() {
+
+    let dir;
+
+    beforeEach(function() {
+      dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cmt-diagnostics-")), "run");
+    });
+
+    afterEach(function() {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+      fs.rmdirSync(path.dirname(dir));
+    });
+
+    const machine = (instance, collectors) => ({
+      opts: { sshTimeout: 50 },
+      describeInstance: () => instance,
+      diagnostics: () => collectors,
+    });
+
+    it("saves each collector's output, even if others fail", function() {
+      const collectors = [
+        { name: "journal", file: "journal.log", collect: () => Promise.reject(new Error("No journal.")) },
+        { name: "slow", file: "slow.log", collect: () => new Promise(resolve => setTimeout(resolve, 500)) },
+        { name: "dmesg", file: "dmesg.log", collect: () => "booted" },
+      ];
+      return new Diagnostics(machine({ name: "test-abc" }, collectors), dir)
+        .collect([ new Error("Failed.") ])
+        .then(saved => {
+          assert.deepEqual(saved.map(file => path.basename(file)),
+            [ "failures.log", "journal.log", "slow.log", "dmesg.log" ]);
+          const read = file => fs.readFileSync(path.join(dir, file), "utf8");
+          assert.equal(read("journal.log").split("\n")[0], "Collecting journal failed: Error: No journal.");
+          assert.equal(read("slow.log").indexOf("Collecting slow failed: "), 0);
+          assert.equal(read("dmesg.log"), "booted\n");
+        });
+    });
+
+    it("only saves the failures if no machine was created", function() {
+      const collectors = [ { name: "dmesg", file: "dmesg.log", collect: () => assert.fail("Collected.") } ];
+      return new Diagnostics(machine(null, collectors), dir)
+        .collect([ new Error("Failed.") ])
+        .then(saved => assert.deepEqual(saved.map(file => path.basename(file)), [ "failures.log" ]));
+    });
+
+  });
+
+});
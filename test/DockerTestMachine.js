@@ -0,0 +1,111 @@
+const assert = require("assert");
+const DockerTestMachine = require("../DockerTestMachine");
+const ReplayCommandRunner = require("../ReplayCommandRunner");
+
+const isDocker = (...args) => argv => argv[0] === "docker" && args.every((arg, i) => argv[i + 1] === arg);
+
+describe("DockerTestMachine", function() {
+
+  let runner;
+  let machine;
+
+  const create = (docker, responses) => {
+    runner = new ReplayCommandRunner(responses);
+    machine = new DockerTestMachine({ runner, owner: "alice", sshUser: null, docker });
+    machine.salt = () => "abc";
+    return machine;
+  };
+
+  const launch = (docker, responses) => create(docker, (responses || []).concat([
+    { match: isDocker("run") },
+    { match: isDocker(), repeat: true },
+  ])).createInstance();
+
+  const calls = (...args) => runner.calls.filter(isDocker(...args));
+
+  describe("#createInstance", function() {
+
+    it("starts a labelled container", function() {
+      return launch({ image: "ubuntu:18.04", runArgs: [ "--privileged" ] }).then(() => {
+        const argv = calls("run")[0];
+        assert.deepEqual(argv.slice(0, 5), [ "docker", "run", "--detach", "--name", "test-abc" ]);
+        assert.deepEqual(argv.slice(5, 7), [ "--label", "cloud-machine-testing=test-" ]);
+        assert.notEqual(argv.indexOf("cmt-owner=alice"), -1);
+        assert.deepEqual(argv.slice(-4), [ "--privileged", "ubuntu:18.04", "sleep", "infinity" ]);
+      });
+    });
+
+    it("provisions as root, even with a configured user", function() {
+      return launch({ user: "app", provisionScript: "provision.sh" }).then(() => {
+        assert.deepEqual(calls("cp")[0].slice(-1), [ "test-abc:/tmp/provision.sh" ]);
+        assert.deepEqual(calls("exec").slice(-1)[0],
+          [ "docker", "exec", "--user", "root", "test-abc", "sh", "-c", "sh /tmp/provision.sh" ]);
+      });
+    });
+
+  });
+
+  describe("#ssh", function() {
+
+    it("runs commands as the configured user", function() {
+      create({ user: "app" }, [ { match: isDocker("exec"), stdout: "app" } ]);
+      machine._image = "test-abc";
+      return machine.ssh("whoami").then(res => {
+        assert.equal(res.stdout, "app");
+        assert.deepEqual(runner.calls[0], [ "docker", "exec", "--user", "app", "test-abc", "sh", "-c", "whoami" ]);
+      });
+    });
+
+    it("runs commands as the image's user by default", function() {
+      create({}, [ { match: isDocker("exec") } ]);
+      machine._image = "test-abc";
+      return machine.ssh("true").then(() => {
+        assert.deepEqual(runner.calls[0], [ "docker", "exec", "test-abc", "sh", "-c", "true" ]);
+      });
+    });
+
+  });
+
+  describe("#diagnostics", function() {
+
+    it("collects logs as root", function() {
+      create({ user: "app" }, [ { match: isDocker(), repeat: true } ]);
+      machine._image = "test-abc";
+      const collector = machine.diagnosticCollectors().filter(c => c.name === "failed-units")[0];
+      return collector.collect().then(() => {
+        assert.deepEqual(runner.calls[0], [ "docker", "exec", "--user", "root", "test-abc", "sh", "-c",
+          "systemctl list-units --failed --no-pager" ]);
+      });
+    });
+
+  });
+
+  describe("#uploadDirectory", function() {
+
+    it("copies with docker cp", function() {
+      create({}, [ { match: isDocker("cp") }, { match: isDocker("cp") } ]);
+      machine._image = "test-abc";
+      return machine
+        .uploadDirectory("site", "/srv/site")
+        .then(() => machine.downloadDirectory("/var/log", "logs"))
+        .then(() => assert.deepEqual(runner.calls, [
+          [ "docker", "cp", "site", "test-abc:/srv/site" ],
+          [ "docker", "cp", "test-abc:/var/log", "logs" ],
+        ]));
+    });
+
+  });
+
+  describe("#destroyInstance", function() {
+
+    it("removes the container", function() {
+      create({}, [ { match: isDocker("rm") } ]);
+      machine._image = "test-abc";
+      return machine.destroyInstance().then(() => {
+        assert.deepEqual(runner.calls, [ [ "docker", "rm", "--force", "test-abc" ] ]);
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,115 @@
+const assert = require("assert");
+const path = require("path");
+const EC2TestMachine = require("../EC2TestMachine");
+const ReplayCommandRunner = require("../ReplayCommandRunner");
+
+const isAws = operation => argv => argv[0] === "aws" && argv[2] === operation;
+
+const describeInstances = JSON.stringify({
+  Reservations: [ {
+    Instances: [ {
+      InstanceId: "i-0abc",
+      PublicIpAddress: "203.0.113.10",
+      LaunchTime: "2017-06-01T12:00:00.000Z",
+      Placement: { AvailabilityZone: "us-east-1a" },
+      Tags: [ { Key: "Name", Value: "test-abc" }, { Key: "cloud-machine-testing", Value: "test-" } ],
+    } ],
+  } ],
+});
+
+describe("EC2TestMachine", function() {
+
+  let runner;
+  let machine;
+
+  const create = (ec2, responses) => {
+    runner = new ReplayCommandRunner(responses);
+    machine = new EC2TestMachine({
+      runner,
+      owner: "alice",
+      ec2: Object.assign({ ami: "ami-123", keyName: "ci", keyFile: "ci.pem", cli: { region: "us-east-1" } }, ec2),
+    });
+    machine.salt = () => "abc";
+    return machine;
+  };
+
+  const launch = (ec2, responses) => create(ec2, [
+    { match: isAws("run-instances"), stdout: JSON.stringify({ Instances: [ { InstanceId: "i-0abc" } ] }) },
+    { match: isAws("wait") },
+    { match: isAws("describe-instances"), stdout: describeInstances },
+    { match: argv => argv[0] === "ssh", repeat: true },
+  ].concat(responses || [])).createInstance();
+
+  const call = operation => runner.calls.filter(isAws(operation))[0];
+
+  const after = (argv, flag) => argv[argv.indexOf(flag) + 1];
+
+  describe("#createInstance", function() {
+
+    it("launches a tagged spot instance with the user data", function() {
+      return launch({}).then(() => {
+        const argv = call("run-instances");
+        assert.deepEqual(argv.slice(0, 3), [ "aws", "ec2", "run-instances" ]);
+        assert.equal(after(argv, "--image-id"), "ami-123");
+        assert.equal(after(argv, "--key-name"), "ci");
+        assert.equal(after(argv, "--instance-market-options"), "MarketType=spot");
+        assert.equal(after(argv, "--user-data"), `file://${path.resolve("cloud-config.yaml")}`);
+        const tags = after(argv, "--tag-specifications");
+        assert(tags.indexOf("ResourceType=instance,Tags=[{Key=Name,Value=test-abc}") === 0, tags);
+        assert(tags.indexOf("{Key=cloud-machine-testing,Value=test-}") !== -1, tags);
+        assert(tags.indexOf("{Key=cmt-owner,Value=alice}") !== -1, tags);
+        assert.deepEqual(argv.slice(-4), [ "--output", "json", "--region", "us-east-1" ]);
+      });
+    });
+
+    it("launches an on-demand instance if spot is disabled", function() {
+      return launch({ spot: false }).then(() => {
+        assert.equal(call("run-instances").indexOf("--instance-market-options"), -1);
+      });
+    });
+
+    it("connects to the instance's public address", function() {
+      return launch({}).then(() => {
+        assert.deepEqual(call("wait").slice(3, 6), [ "instance-running", "--instance-ids", "i-0abc" ]);
+        assert.equal(machine.host.host, "203.0.113.10");
+        assert.deepEqual(machine.describeInstance(), { id: "i-0abc", name: "test-abc" });
+        assert(runner.calls.some(argv => argv[0] === "ssh" && argv.indexOf("ubuntu@203.0.113.10") !== -1));
+      });
+    });
+
+  });
+
+  describe("#getInstances", function() {
+
+    it("parses the tagged instances", function() {
+      create({}, [ { match: isAws("describe-instances"), stdout: describeInstances } ]);
+      return machine.getInstances().then(instances => {
+        assert.equal(after(call("describe-instances"), "--filters"), "Name=tag:cloud-machine-testing,Values=test-");
+        assert.deepEqual(instances, [ {
+          id: "i-0abc",
+          name: "test-abc",
+          zone: "us-east-1a",
+          creationTimestamp: "2017-06-01T12:00:00.000Z",
+          labels: { "Name": "test-abc", "cloud-machine-testing": "test-" },
+        } ]);
+      });
+    });
+
+  });
+
+  describe("#destroyInstance", function() {
+
+    it("terminates the created instance", function() {
+      return launch({}, [ { match: isAws("terminate-instances") } ])
+        .then(() => machine.destroyInstance())
+        .then(() => assert.deepEqual(call("terminate-instances").slice(3, 5), [ "--instance-ids", "i-0abc" ]));
+    });
+
+    it("does nothing if no instance was created", function() {
+      create({}, []);
+      return machine.destroyInstance().then(() => assert.deepEqual(runner.calls, []));
+    });
+
+  });
+
+});
@@ -0,0 +1,88 @@
+const assert = require("assert");
+const FormatTestOutput = require("../FormatTestOutput");
+const JSONReporter = require("../JSONReporter");
+const TAPReporter = require("../TAPReporter");
+
+describe("FormatTestOutput", function() {
+
+  let out;
+
+  beforeEach(function() {
+    out = new FormatTestOutput({ reporters: [] });
+  });
+
+  const fail = () => assert.equal(1, 2);
+
+  describe("#stats", function() {
+
+    it("counts failures allowed with allowAssertion", function() {
+      return out
+        .section("web", () => out
+          .it("passes", () => true)
+          .then(() => out.it("fails", fail))
+          .catch(err => out.allowAssertion(err))
+          .then(() => out.skip("skipped", "not needed"))
+          .then(() => out.section("nested", () => out.it("also fails", fail).catch(err => out.allowAssertion(err)))))
+        .then(() => out.section("db", () => out.it("passes", () => true)))
+        .then(() => {
+          const [ web, db ] = out.root.sections;
+          assert.deepEqual(out.stats(), { passed: 2, failed: 2, skipped: 1, bypassed: 0, errors: 0 });
+          assert.deepEqual(out.stats(web), { passed: 1, failed: 2, skipped: 1, bypassed: 0, errors: 0 });
+          assert.deepEqual(out.stats(web.sections[0]), { passed: 0, failed: 1, skipped: 0, bypassed: 0, errors: 0 });
+          assert.deepEqual(out.stats(db), { passed: 1, failed: 0, skipped: 0, bypassed: 0, errors: 0 });
+        });
+    });
+
+  });
+
+  describe("#hasFailures", function() {
+
+    it("is false if every test passed", function() {
+      return out.it("passes", () => true).then(() => assert.equal(out.hasFailures(), false));
+    });
+
+    it("is true if a failure was allowed", function() {
+      return out
+        .it("fails", fail)
+        .catch(err => out.allowAssertion(err))
+        .then(() => assert.equal(out.hasFailures(), true));
+    });
+
+    it("is true if a section ended with an error", function() {
+      return out
+        .section("broken", () => Promise.reject(new Error("boom")))
+        .catch(() => null)
+        .then(() => {
+          assert.equal(out.stats().errors, 1);
+          assert.equal(out.hasFailures(), true);
+        });
+    });
+
+  });
+
+  describe("#addReporter", function() {
+
+    const warnings = [];
+    const warn = console.warn;
+
+    beforeEach(function() {
+      warnings.length = 0;
+      console.warn = message => warnings.push(message);
+    });
+
+    afterEach(function() {
+      console.warn = warn;
+    });
+
+    it("warns once if several reporters write to standard output", function() {
+      const output = new FormatTestOutput();
+      output.addReporter(new JSONReporter({ file: "results.json" }));
+      assert.deepEqual(warnings, []);
+      output.addReporter(new TAPReporter()).addReporter(new JSONReporter());
+      assert.equal(warnings.length, 1);
+      assert.ok(/ConsoleReporter, TAPReporter/.test(warnings[0]), warnings[0]);
+    });
+
+  });
+
+});
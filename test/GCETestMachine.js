@@ -0,0 +1,158 @@
+const assert = require("assert");
+const GCETestMachine = require("../GCETestMachine");
+const ReplayCommandRunner = require("../ReplayCommandRunner");
+
+const isGcloud = (...args) => argv => argv[0] === "gcloud" && args.every((arg, i) => argv[i + 1] === arg);
+
+describe("GCETestMachine", function() {
+
+  let runner;
+  let machine;
+
+  const create = (gce, responses) => {
+    runner = new ReplayCommandRunner(responses);
+    machine = new GCETestMachine({ runner, owner: "alice", sshUser: null, gce });
+    machine.salt = () => "abc";
+    return machine;
+  };
+
+  const launch = (gce, responses) => create(gce, (responses || []).concat([
+    { match: isGcloud("compute", "instances", "create") },
+    { match: isGcloud("compute", "ssh"), repeat: true },
+  ])).createInstance();
+
+  const call = (...args) => runner.calls.filter(isGcloud(...args))[0];
+
+  const after = (argv, flag) => argv[argv.indexOf(flag) + 1];
+
+  describe("#createInstance", function() {
+
+    it("creates a labelled preemptible machine", function() {
+      return launch({ project: "my-project" }).then(() => {
+        const argv = call("compute", "instances", "create");
+        assert.deepEqual(argv.slice(0, 5), [ "gcloud", "compute", "instances", "create", "test-abc" ]);
+        assert.equal(after(argv, "--zone"), "us-east1-d");
+        assert.equal(after(argv, "--image-family"), "ubuntu-1604-lts");
+        assert.notEqual(argv.indexOf("--preemptible"), -1);
+        assert(/(^|,)cmt-owner=alice(,|$)/.test(after(argv, "--labels")), after(argv, "--labels"));
+        assert.equal(after(argv, "--metadata-from-file"), "user-data=cloud-config.yaml");
+        assert.deepEqual(argv.slice(-2), [ "--project", "my-project" ]);
+      });
+    });
+
+    it("passes configured options as separate arguments", function() {
+      return launch({ image: "my image", preemptible: false, tags: [ "http", "https" ], userData: null }).then(() => {
+        const argv = call("compute", "instances", "create");
+        assert.equal(after(argv, "--image"), "my image");
+        assert.equal(argv.indexOf("--image-family"), -1);
+        assert.equal(argv.indexOf("--preemptible"), -1);
+        assert.equal(argv.indexOf("--metadata-from-file"), -1);
+        assert.equal(after(argv, "--tags"), "http,https");
+      });
+    });
+
+    it("falls back to a standard machine if preemptible capacity is exhausted", function() {
+      const exhausted = "ERROR: (gcloud.compute.instances.create) Could not fetch resource:\n" +
+        " - The zone 'projects/p/zones/us-east1-d' does not have enough resources available to fulfill the request.  " +
+        "'(resource type:compute)'.\n - ZONE_RESOURCE_POOL_EXHAUSTED";
+      const preemptible = argv => isGcloud("compute", "instances", "create")(argv) &&
+        argv.indexOf("--preemptible") !== -1;
+      return launch({ preemptibleFallback: true }, [ { match: preemptible, code: 1, stderr: exhausted } ]).then(() => {
+        const creates = runner.calls.filter(isGcloud("compute", "instances", "create"));
+        assert.equal(creates.length, 2);
+        assert.equal(creates[1].indexOf("--preemptible"), -1);
+      });
+    });
+
+    it("doesn't fall back for other failures", function() {
+      const stderr = "ERROR: (gcloud.compute.instances.create) Could not fetch resource:\n" +
+        " - The resource 'projects/ubuntu-os-cloud/global/images/family/missing' was not found";
+      return launch({ preemptibleFallback: true, imageFamily: "missing" }, [
+        { match: isGcloud("compute", "instances", "create"), code: 1, stderr },
+      ]).then(() => assert.fail("Expected createInstance to reject"), err => {
+        assert.equal(err.code, 1);
+        assert.equal(runner.calls.filter(isGcloud("compute", "instances", "create")).length, 1);
+      });
+    });
+
+    it("waits for SSH to work", function() {
+      return launch({}).then(() => {
+        assert.deepEqual(call("compute", "ssh"),
+          [ "gcloud", "compute", "ssh", "test-abc", "--quiet", "--zone", "us-east1-d", "--command", "true" ]);
+      });
+    });
+
+  });
+
+  describe("#getInstances", function() {
+
+    it("lists machines whose names start with the prefix", function() {
+      const instances = [
+        { id: "1", name: "test-abc", labels: { "cmt-owner": "alice" } },
+        { id: "2", name: "test-def" },
+      ];
+      return create({}, [ { match: isGcloud("compute", "instances", "list"), stdout: JSON.stringify(instances) } ])
+        .getInstances()
+        .then(listed => {
+          const argv = call("compute", "instances", "list");
+          assert.equal(after(argv, "--filter"), "name ~ ^test-");
+          assert.equal(argv.indexOf("--regexp"), -1);
+          assert.deepEqual(listed.map(instance => instance.labels), [ { "cmt-owner": "alice" }, {} ]);
+        });
+    });
+
+    it("escapes the prefix in the filter", function() {
+      create({}, [ { match: isGcloud("compute", "instances", "list"), stdout: "[]" } ]);
+      machine.opts.prefix = "ci.test-";
+      return machine
+        .getInstances()
+        .then(() => assert.equal(after(call("compute", "instances", "list"), "--filter"), "name ~ ^ci\\.test-"));
+    });
+
+  });
+
+  describe("#ssh", function() {
+
+    it("gives the command to gcloud as a single argument", function() {
+      const command = "echo \"$HOME\" `whoami` 'quoted' && exit 3";
+      return launch({}, [ { match: argv => argv.indexOf(command) !== -1, stdout: "out\n", code: 3 } ])
+        .then(() => machine.ssh(command, { allowFailure: true }))
+        .then(res => {
+          const argv = runner.calls[runner.calls.length - 1];
+          assert.equal(argv[argv.indexOf("--command") + 1], command);
+          assert.equal(argv.length, 9);
+          assert.equal(res.exitCode, 3);
+          assert.equal(res.stdout, "out");
+        });
+    });
+
+    it("rejects when the command fails", function() {
+      return launch({}, [ { match: argv => argv.indexOf("false") !== -1, code: 1 } ])
+        .then(() => machine.ssh("false"))
+        .then(() => assert.fail("Expected ssh to reject"), err => {
+          assert.equal(err.name, "CommandError");
+          assert.equal(err.result.exitCode, 1);
+        });
+    });
+
+  });
+
+  describe("#destroyInstance", function() {
+
+    it("deletes the created machine", function() {
+      return launch({}, [ { match: isGcloud("compute", "instances", "delete") } ])
+        .then(() => machine.destroyInstance({ background: true }))
+        .then(() => {
+          assert.deepEqual(call("compute", "instances", "delete"),
+            [ "gcloud", "compute", "instances", "delete", "test-abc", "--zone", "us-east1-d", "--quiet", "--async" ]);
+        });
+    });
+
+    it("does nothing if no machine was created", function() {
+      create({}, []);
+      return machine.destroyInstance().then(() => assert.deepEqual(runner.calls, []));
+    });
+
+  });
+
+});
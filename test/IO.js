@@ -0,0 +1,62 @@
+const assert = require("assert");
+const IO = require("../IO");
+
+describe("IO", function() {
+
+  describe("#presetAnswer", function() {
+
+    it("answers by key, then by question text", function() {
+      const io = new IO({ answers: { keep: "yes", "Destroy the machine?": false, promote: "n" } });
+      assert.equal(io.presetAnswer("Keep the machine?", "keep"), "Y");
+      assert.equal(io.presetAnswer("Destroy the machine?", "destroy"), "N");
+      assert.equal(io.presetAnswer("Create an image?", "promote"), "N");
+      assert.equal(io.presetAnswer("Something else?", "other"), null);
+    });
+
+    it("only answers interactive questions once", function() {
+      const io = new IO({ answers: { ssh: "Y", keep: "Y" }, interactiveKeys: [ "ssh" ] });
+      assert.equal(io.presetAnswer("SSH into the machine?", "ssh"), "Y");
+      assert.equal(io.presetAnswer("SSH into the machine?", "ssh"), null);
+      assert.equal(io.presetAnswer("Keep the machine?", "keep"), "Y");
+      assert.equal(io.presetAnswer("Keep the machine?", "keep"), "Y");
+    });
+
+    it("doesn't assume yes for interactive questions", function() {
+      const io = new IO({ assumeYes: true, interactiveKeys: [ "ssh" ] });
+      assert.equal(io.presetAnswer("Keep the machine?", "keep"), "Y");
+      assert.equal(io.presetAnswer("SSH into the machine?", "ssh"), null);
+    });
+
+  });
+
+  describe("#yesNo", function() {
+
+    const log = console.log;
+
+    const ask = (io, ...args) => {
+      console.log = () => null;
+      const restore = () => console.log = log;
+      return io.yesNo(...args).then(answer => {
+        restore();
+        return answer;
+      }, err => {
+        restore();
+        throw err;
+      });
+    };
+
+    it("resolves to a pre-set answer without prompting", function() {
+      const io = new IO({ answers: { keep: "N" } });
+      io.isCI = false;
+      return ask(io, "Keep the machine?", "Y", "Y", "keep").then(answer => assert.equal(answer, false));
+    });
+
+    it("uses the CI default if there is no pre-set answer", function() {
+      const io = new IO();
+      io.isCI = true;
+      return ask(io, "Keep the machine?", "N", "Y", "keep").then(answer => assert.equal(answer, true));
+    });
+
+  });
+
+});
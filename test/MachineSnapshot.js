@@ -0,0 +1,61 @@
+const assert = require("assert");
+const MachineSnapshot = require("../MachineSnapshot");
+
+describe("MachineSnapshot", function() {
+
+  describe(".diff", function() {
+
+    it("lists the lines added and removed in each changed part", function() {
+      const before = new MachineSnapshot({
+        packages: [ "curl 7.47", "nginx 1.10.3" ],
+        users: [ "root:0:/root:/bin/bash" ],
+      });
+      const after = new MachineSnapshot({
+        packages: [ "curl 7.47", "nginx 1.10.4" ],
+        users: [ "root:0:/root:/bin/bash" ],
+        services: [ "nginx.service enabled" ],
+      });
+      assert.deepEqual(MachineSnapshot.diff(before, after), {
+        packages: { added: [ "nginx 1.10.4" ], removed: [ "nginx 1.10.3" ] },
+        services: { added: [ "nginx.service enabled" ], removed: [] },
+      });
+    });
+
+    it("is empty if nothing changed", function() {
+      const parts = { packages: [ "nginx 1.10.3" ] };
+      assert.deepEqual(MachineSnapshot.diff(new MachineSnapshot(parts), new MachineSnapshot(parts)), {});
+    });
+
+  });
+
+  describe(".formatChange", function() {
+
+    it("lists removed lines before added lines", function() {
+      assert.equal(MachineSnapshot.formatChange({ added: [ "b", "c" ], removed: [ "a" ] }), "- a\n+ b\n+ c");
+    });
+
+  });
+
+  describe(".capture", function() {
+
+    it("runs each command, sorting lines and leaving out ignored ones", function() {
+      const commands = [];
+      const machine = {
+        ssh: (command, opts) => {
+          commands.push({ command, opts });
+          const stdout = /md5sum/.test(command) ? "2 /etc/hosts\n1 /etc/resolv.conf\n1 /etc/app.conf\n" : "b\na\n";
+          return Promise.resolve({ stdout });
+        },
+      };
+      return MachineSnapshot.capture(machine, { paths: [ "/etc", "/opt/my app" ] }).then(snapshot => {
+        assert.deepEqual(Object.keys(snapshot.parts), [ "packages", "services", "users", "files" ]);
+        assert.deepEqual(snapshot.parts.users, [ "a", "b" ]);
+        assert.deepEqual(snapshot.parts.files, [ "1 /etc/app.conf", "2 /etc/hosts" ]);
+        assert.ok(commands.every(c => c.opts.allowFailure));
+        assert.ok(commands[3].command.indexOf("find /etc '/opt/my app' ") !== -1, commands[3].command);
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,106 @@
+const assert = require("assert");
+const FormatTestOutput = require("../FormatTestOutput");
+const MochaAdapter = require("../MochaAdapter");
+
+describe("MochaAdapter", function() {
+
+  let defined;
+
+  const create = test => {
+    defined = [];
+    const path = [];
+    const it = (name, fn) => defined.push({ name: path.concat([ name ]).join(" > "), fn });
+    it.skip = name => defined.push({ name: path.concat([ name ]).join(" > "), skipped: true });
+    return new MochaAdapter(test || {}, {
+      name: "MachineTest",
+      describe: (name, fn) => {
+        path.push(name);
+        fn();
+        path.pop();
+      },
+      it,
+      run: () => defined.push({ name: "run" }),
+    });
+  };
+
+  const outcome = test => {
+    if(test.skipped) { return "skipped"; }
+    try {
+      test.fn();
+      return "passed";
+    }
+    catch (err) {
+      return `failed: ${err.message}`;
+    }
+  };
+
+  const results = () => {
+    const out = new FormatTestOutput({ reporters: [] });
+    return out
+      .section("web", () => out
+        .it("serves pages", () => true)
+        .then(() => out.it("redirects", () => assert.equal(301, 302)))
+        .catch(err => out.allowAssertion(err))
+        .then(() => out.skip("uses TLS", "no certificate"))
+        .then(() => out.section("nested", () => Promise.reject(new Error("Broken section.")))))
+      .catch(() => null)
+      .then(() => out.root);
+  };
+
+  describe("#define", function() {
+
+    it("defines a suite for each section, replaying each test", function() {
+      return results().then(tests => {
+        create().define({ phases: [ { name: "setup", state: "passed" } ], tests });
+        assert.deepEqual(defined.map(test => `${test.name}: ${outcome(test)}`), [
+          "MachineTest > web > serves pages: passed",
+          "MachineTest > web > redirects: failed: 301 == 302",
+          "MachineTest > web > uses TLS: skipped",
+          "MachineTest > web > nested > runs without errors: failed: Broken section.",
+        ]);
+      });
+    });
+
+    it("reports failed phases as failing tests", function() {
+      return results().then(tests => {
+        create().define({ phases: [ { name: "setup", state: "failed", error: new Error("No machine.") } ], tests });
+        assert.equal(`${defined[0].name}: ${outcome(defined[0])}`, "MachineTest > setup phase: failed: No machine.");
+      });
+    });
+
+    it("defines a suite for each matrix configuration", function() {
+      return results().then(tests => {
+        create().define({ phases: [], matrix: [ { name: "xenial", tests }, { name: "bionic", tests } ] });
+        assert.deepEqual(defined.filter(test => /serves pages/.test(test.name)).map(test => test.name), [
+          "MachineTest > xenial > web > serves pages",
+          "MachineTest > bionic > web > serves pages",
+        ]);
+      });
+    });
+
+  });
+
+  describe("#run", function() {
+
+    it("runs the test without exiting, then starts Mocha", function() {
+      return results().then(tests => {
+        const test = { exit: true, test: () => Promise.resolve({ phases: [], tests }) };
+        return create(test).run().then(() => {
+          assert.equal(test.exit, false);
+          assert.equal(defined[defined.length - 1].name, "run");
+        });
+      });
+    });
+
+    it("reports a test that couldn't run", function() {
+      const test = { test: () => Promise.reject(new Error("Crashed.")) };
+      return create(test).run().then(() => assert.fail("Expected run to reject."), err => {
+        assert.equal(err.message, "Crashed.");
+        assert.deepEqual(defined.map(test => test.name), [ "MachineTest > runs", "run" ]);
+        assert.equal(outcome(defined[0]), "failed: Crashed.");
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,76 @@
+const assert = require("assert");
+const Reaper = require("../Reaper");
+const TestMachine = require("../TestMachine");
+
+describe("Reaper", function() {
+
+  const now = new Date("2026-01-01T12:00:00Z");
+  const seconds = date => String(Math.floor(date.getTime() / 1000));
+  const LABELS = TestMachine.LABELS;
+  const ownRun = TestMachine.runId(process.pid);
+  const goneRun = TestMachine.runId(999999);
+  const liveRun = TestMachine.runId(888888);
+  const isRunning = Reaper.isRunning;
+
+  before(function() {
+    Reaper.isRunning = pid => pid === 888888;
+  });
+
+  after(function() {
+    Reaper.isRunning = isRunning;
+  });
+
+  const instance = (name, labels, created) => {
+    const result = { name, creationTimestamp: (created || now).toISOString(), labels: {} };
+    result.labels[LABELS.run] = labels.run;
+    result.labels[LABELS.expires] = labels.expires;
+    return result;
+  };
+
+  const later = seconds(new Date(now.getTime() + 60 * 60 * 1000));
+  const earlier = seconds(new Date(now.getTime() - 60 * 1000));
+
+  describe("#reason", function() {
+
+    const reaper = new Reaper({ runId: ownRun }, { kept: [ "kept" ] });
+
+    it("destroys expired machines", function() {
+      assert.equal(reaper.reason(instance("old", { run: liveRun, expires: earlier }), now),
+        `expired at ${new Date(parseInt(earlier, 10) * 1000).toISOString()}`);
+    });
+
+    it("destroys old machines without an expiry", function() {
+      const created = new Date(now.getTime() - 5 * 60 * 60 * 1000);
+      assert.equal(reaper.reason(instance("legacy", {}, created), now),
+        `created at ${created.toISOString()}, and has no expiry`);
+    });
+
+    it("keeps recent machines without an expiry", function() {
+      assert.equal(reaper.reason(instance("legacy", {}, new Date(now.getTime() - 60 * 1000)), now), null);
+    });
+
+    it("destroys machines whose owning run has exited", function() {
+      assert.equal(reaper.reason(instance("orphan", { run: goneRun, expires: later }), now),
+        `owning run ${goneRun} has exited`);
+    });
+
+    it("keeps machines whose owning run is still running", function() {
+      assert.equal(reaper.reason(instance("busy", { run: liveRun, expires: later }), now), null);
+    });
+
+    it("keeps kept machines until they expire", function() {
+      assert.equal(reaper.reason(instance("kept", { run: goneRun, expires: later }), now), null);
+      assert.equal(reaper.reason(instance("kept", { run: goneRun, expires: earlier }), now).indexOf("expired"), 0);
+    });
+
+    it("never destroys machines from its own run", function() {
+      assert.equal(reaper.reason(instance("mine", { run: ownRun, expires: earlier }), now), null);
+    });
+
+    it("keeps machines owned by runs on other hosts", function() {
+      assert.equal(reaper.reason(instance("remote", { run: "otherhost-999999", expires: later }), now), null);
+    });
+
+  });
+
+});
@@ -0,0 +1,76 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RunState = require("../RunState");
+
+describe("RunState", function() {
+
+  let dir;
+  let state;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cmt-state-"));
+    state = new RunState(path.join(dir, "state.json"));
+  });
+
+  afterEach(function() {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  class FakeMachine {
+    constructor(name) { this.name = name; }
+    toState() { return { name: this.name, salt: "abc" }; }
+  }
+
+  describe("#record", function() {
+
+    it("records a machine with its backend and state", function() {
+      const record = state.record(new FakeMachine("test-abc"));
+      assert.equal(record.backend, "FakeMachine");
+      assert.deepEqual(record.state, { name: "test-abc", salt: "abc" });
+      assert.deepEqual(state.list(), [ record ]);
+    });
+
+    it("replaces an earlier record with the same name", function() {
+      state.record(new FakeMachine("one"));
+      state.record(new FakeMachine("two"));
+      state.record(new FakeMachine("one"));
+      assert.deepEqual(state.list().map(record => record.name), [ "two", "one" ]);
+    });
+
+  });
+
+  describe("#find", function() {
+
+    it("finds a machine by name, or the most recent", function() {
+      state.record(new FakeMachine("one"));
+      state.record(new FakeMachine("two"));
+      assert.equal(state.find("one").name, "one");
+      assert.equal(state.find().name, "two");
+      assert.equal(state.find("three"), null);
+    });
+
+    it("finds nothing without a state file", function() {
+      assert.deepEqual(state.list(), []);
+      assert.equal(state.find(), null);
+    });
+
+  });
+
+  describe("#remove", function() {
+
+    it("removes a machine, and the file once it is empty", function() {
+      state.record(new FakeMachine("one"));
+      state.record(new FakeMachine("two"));
+      state.remove("one");
+      assert.deepEqual(state.list().map(record => record.name), [ "two" ]);
+      state.remove("two");
+      assert.equal(fs.existsSync(state.file), false);
+      state.remove("two");
+    });
+
+  });
+
+});
@@ -0,0 +1,170 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const CommandRunner = require("../CommandRunner");
+const ReplayCommandRunner = require("../ReplayCommandRunner");
+const SSHTestMachine = require("../SSHTestMachine");
+
+describe("SSHTestMachine", function() {
+
+  let lockDir;
+  let runner;
+
+  beforeEach(function() {
+    lockDir = fs.mkdtempSync(path.join(os.tmpdir(), "cmt-test-"));
+  });
+
+  afterEach(function() {
+    fs.readdirSync(lockDir).forEach(file => fs.unlinkSync(path.join(lockDir, file)));
+    fs.rmdirSync(lockDir);
+  });
+
+  const create = (ssh, responses) => {
+    runner = new ReplayCommandRunner(responses);
+    const machine = new SSHTestMachine({
+      runner,
+      owner: "alice",
+      ssh: Object.assign({ lockDir, user: "tester", destroyCommand: "reset-host" }, ssh),
+    });
+    machine.salt = () => "abc";
+    return machine;
+  };
+
+  const isHook = argv => argv[0] === "sh";
+
+  describe("#createInstance", function() {
+
+    it("claims a host and connects to it", function() {
+      const machine = create({ hosts: [ "one", "two" ] }, [ { match: argv => argv[0] === "ssh", repeat: true } ]);
+      return machine.createInstance().then(() => {
+        assert.equal(machine.host.host, "one");
+        assert.deepEqual(fs.readdirSync(lockDir), [ "one.json" ]);
+        assert(runner.calls.some(argv => argv[0] === "ssh" && argv.indexOf("tester@one") !== -1));
+      });
+    });
+
+    it("fails without destroying anything when every host is in use", function() {
+      fs.writeFileSync(path.join(lockDir, "one.json"), JSON.stringify({ name: "test-other", host: "one" }));
+      const machine = create({ host: "one" }, [ { match: isHook, repeat: true } ]);
+      return machine
+        .createInstance()
+        .then(() => assert.fail("Expected createInstance to reject"), err => {
+          assert.equal(err.message, "All 1 hosts are in use.");
+          assert.equal(machine.describeInstance(), null);
+          return machine.destroyInstance();
+        })
+        .then(() => {
+          assert.deepEqual(runner.calls, []);
+          assert.deepEqual(fs.readdirSync(lockDir), [ "one.json" ]);
+        });
+    });
+
+  });
+
+  describe("#destroyInstance", function() {
+
+    it("runs the destroyCommand for the claimed host and releases it", function() {
+      const machine = create({ host: "one" }, [
+        { match: argv => argv[0] === "ssh", repeat: true },
+        { match: isHook },
+      ]);
+      return machine
+        .createInstance()
+        .then(() => machine.destroyInstance())
+        .then(() => {
+          assert.deepEqual(runner.calls.filter(isHook), [ [ "sh", "-c", "reset-host" ] ]);
+          assert.deepEqual(fs.readdirSync(lockDir), []);
+        });
+    });
+
+  });
+
+  describe("#getInstances", function() {
+
+    it("lists claimed hosts, skipping unreadable lock files", function() {
+      fs.writeFileSync(path.join(lockDir, "one.json"), JSON.stringify({
+        name: "test-abc",
+        host: "one",
+        creationTimestamp: "2017-06-01T12:00:00.000Z",
+        labels: { "cmt-owner": "alice" },
+      }));
+      fs.writeFileSync(path.join(lockDir, "two.json"), "{\"name\": \"test-");
+      fs.writeFileSync(path.join(lockDir, "three.json.swp"), "not a lock");
+      fs.writeFileSync(path.join(lockDir, "four.json"), JSON.stringify({ name: "other-def", host: "four" }));
+      return create({}, []).getInstances().then(instances => {
+        assert.deepEqual(instances, [ {
+          id: "test-abc",
+          name: "test-abc",
+          zone: "one",
+          creationTimestamp: "2017-06-01T12:00:00.000Z",
+          labels: { "cmt-owner": "alice" },
+          lock: path.join(lockDir, "one.json"),
+        } ]);
+      });
+    });
+
+  });
+
+  describe("#forward", function() {
+
+    let server;
+
+    afterEach(function() {
+      if(server) { server.close(); }
+      server = null;
+    });
+
+    const forwarding = () => {
+      const machine = create({ hosts: [ "one" ] }, []);
+      machine.host = { host: "one" };
+      machine.opts.sshTimeout = 1000;
+      return machine;
+    };
+
+    it("resolves once the local port accepts connections, and closes the tunnel", function() {
+      const machine = forwarding();
+      const start = runner.start.bind(runner);
+      let killed = false;
+      runner.start = argv => start(argv).on("exit", () => killed = true);
+      server = net.createServer().listen(0, "127.0.0.1");
+      return new Promise(resolve => server.on("listening", resolve))
+        .then(() => machine.forward(80, { localPort: server.address().port }))
+        .then(localPort => {
+          assert.equal(localPort, server.address().port);
+          const argv = runner.calls[0];
+          assert.deepEqual(argv.slice(0, 8), [ "ssh", "-N", "-o", "BatchMode=yes", "-o", "ExitOnForwardFailure=yes",
+            "-L", `${localPort}:localhost:80` ]);
+          assert.equal(argv[argv.length - 1], "tester@one");
+          assert.equal(killed, false);
+          machine.closeForwards();
+          assert.equal(killed, true);
+        });
+    });
+
+    it("rejects if the tunnel can't be started", function() {
+      const machine = forwarding();
+      runner.start = () => new CommandRunner().start([ "cmt-no-such-command" ]);
+      return machine.forward(80).then(() => assert.fail("Expected forward to reject."), err => {
+        assert.ok(/^Unable to start forward to port 80: .*ENOENT/.test(err.message), err.message);
+      });
+    });
+
+    it("rejects with the tunnel's error output if it exits", function() {
+      const machine = forwarding();
+      const start = runner.start.bind(runner);
+      runner.start = argv => {
+        const child = start(argv);
+        child.stderrText = "bind: Address already in use\n";
+        setImmediate(() => child.emit("exit", 255, null));
+        return child;
+      };
+      return machine.forward(80).then(() => assert.fail("Expected forward to reject."), err => {
+        assert.equal(err.message, "Forward to port 80 exited.  bind: Address already in use");
+      });
+    });
+
+  });
+
+});
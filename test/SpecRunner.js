@@ -0,0 +1,121 @@
+const assert = require("assert");
+const FormatTestOutput = require("../FormatTestOutput");
+const ReplayCommandRunner = require("../ReplayCommandRunner");
+const SpecRunner = require("../SpecRunner");
+const SSHTestMachine = require("../SSHTestMachine");
+
+const remote = (pattern, stdout, code) => ({
+  match: argv => argv[0] === "ssh" && pattern.test(argv[argv.length - 1]),
+  stdout: stdout || "",
+  code: code || 0,
+  repeat: true,
+});
+
+describe("SpecRunner", function() {
+
+  let runner;
+  let out;
+  let spec;
+
+  const create = responses => {
+    runner = new ReplayCommandRunner(responses);
+    const machine = new SSHTestMachine({ runner, ssh: { host: "one" } });
+    machine.host = { host: "one" };
+    out = new FormatTestOutput({ reporters: [] });
+    spec = new SpecRunner(machine, out);
+    return spec;
+  };
+
+  const tests = () => out.root.sections[0].tests.map(test => `${test.state} ${test.name}`);
+
+  describe("#run", function() {
+
+    it("bypasses the dependents of a failed test", function() {
+      create([ remote(/dpkg-query/, "", 1), remote(/is-active/, "active") ]);
+      return spec
+        .run({ sections: [ {
+          name: "web",
+          tests: [
+            { name: "installs nginx", package: "nginx", dependents: [
+              { name: "runs nginx", service: "nginx", active: true, dependents: [ { port: 80 } ] },
+            ] },
+            { name: "runs cron", service: "cron" },
+          ],
+        } ] })
+        .then(() => {
+          assert.deepEqual(tests(), [
+            "failed installs nginx",
+            "skipped runs nginx",
+            "skipped port 80",
+            "passed runs cron",
+          ]);
+          assert.deepEqual(out.root.sections[0].bypassed, [ "installs nginx" ]);
+          assert(!runner.calls.some(argv => argv[argv.length - 1] === "systemctl is-active nginx"));
+        });
+    });
+
+    it("runs the dependents of a passing test", function() {
+      create([ remote(/dpkg-query/, "install ok installed|1.10.3"), remote(/is-active/, "active") ]);
+      return spec
+        .run({ sections: [ {
+          name: "web",
+          tests: [
+            { name: "installs nginx", package: "nginx", dependents: [ { name: "runs nginx", service: "nginx" } ] },
+          ],
+        } ] })
+        .then(() => assert.deepEqual(tests(), [ "passed installs nginx", "passed runs nginx" ]));
+    });
+
+    it("checks false expectations with shouldNot* matchers", function() {
+      create([
+        remote(/test -e/, "", 0),
+        remote(/test -d/, "", 1),
+        remote(/is-active/, "inactive", 3),
+        remote(/is-enabled/, "disabled", 1),
+      ]);
+      return spec
+        .run({ sections: [ {
+          name: "files",
+          tests: [
+            { name: "is a file", file: "/etc/hosts", directory: false },
+            { name: "is stopped", service: "nginx", active: false, enabled: false },
+            { name: "is not enabled", service: "nginx", enabled: true },
+          ],
+        } ] })
+        .then(() => {
+          assert.deepEqual(tests(), [ "passed is a file", "passed is stopped", "failed is not enabled" ]);
+          const err = out.root.sections[0].tests[2].error;
+          assert.equal(err.message, "Expected service 'nginx' to be enabled, but got \"disabled\"");
+        });
+    });
+
+  });
+
+  describe("#validateSection", function() {
+
+    it("rejects unknown expectation keys", function() {
+      create([]);
+      assert.throws(() => spec.validateSection({ name: "web", tests: [ { service: "nginx", enabeld: true } ] }),
+        /unknown keys for a service check: enabeld/);
+    });
+
+    it("rejects unknown keys in dependents", function() {
+      create([]);
+      const section = { name: "web", tests: [ { package: "nginx", dependents: [ { port: 80, listenning: true } ] } ] };
+      assert.throws(() => spec.validateSection(section), /unknown keys for a port check: listenning/);
+    });
+
+    it("rejects a group without an owner", function() {
+      create([]);
+      assert.throws(() => spec.validateSection({ name: "files", tests: [ { file: "/etc/hosts", group: "root" } ] }),
+        /'group' without an 'owner'/);
+    });
+
+    it("accepts a valid section", function() {
+      create([]);
+      spec.validateSection({ name: "files", tests: [ { file: "/etc/hosts", owner: "root", group: "root" } ] });
+    });
+
+  });
+
+});
@@ -0,0 +1,94 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FormatTestOutput = require("../FormatTestOutput");
+const TAPReporter = require("../TAPReporter");
+
+describe("TAPReporter", function() {
+
+  const run = reporter => {
+    const out = new FormatTestOutput({ reporters: [ reporter ] });
+    return out
+      .section("web", () => out
+        .it("passes", () => true)
+        .then(() => out.it("fails # twice", () => assert.equal(1, 2)))
+        .catch(err => out.allowAssertion(err))
+        .then(() => out.skip("later", "not needed")))
+      .then(() => out.end());
+  };
+
+  describe("to standard output", function() {
+
+    let written;
+    const write = process.stdout.write;
+
+    beforeEach(function() {
+      written = "";
+      process.stdout.write = text => written += text;
+    });
+
+    afterEach(function() {
+      process.stdout.write = write;
+    });
+
+    it("writes the header with the first event, not when created", function() {
+      const reporter = new TAPReporter();
+      const before = written;
+      reporter.sectionStart({ name: "web", parent: { name: null } });
+      process.stdout.write = write;
+      assert.equal(before, "");
+      assert.equal(written, "TAP version 13\n# web\n");
+    });
+
+    it("writes each result and the plan", function() {
+      return run(new TAPReporter()).then(() => {
+        process.stdout.write = write;
+        const lines = written.split("\n");
+        assert.deepEqual(lines.filter(line => !/^ /.test(line)), [
+          "TAP version 13",
+          "# web",
+          "ok 1 - web > passes",
+          "not ok 2 - web > fails \\# twice",
+          "ok 3 - web > later # SKIP not needed",
+          "1..3",
+          "",
+        ]);
+        assert.ok(lines.indexOf("  message: \"1 == 2\"") !== -1, written);
+      });
+    });
+
+  });
+
+  describe("to a file", function() {
+
+    let dir;
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "cmt-tap-"));
+    });
+
+    afterEach(function() {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+
+    it("writes the full report at the end", function() {
+      const file = path.join(dir, "results.tap");
+      return run(new TAPReporter({ file })).then(() => {
+        const text = fs.readFileSync(file, "utf8");
+        assert.equal(text.split("\n")[0], "TAP version 13");
+        assert.equal(text.split("\n").filter(line => line === "TAP version 13").length, 1);
+        assert.ok(/\n1\.\.3\n$/.test(text), text);
+      });
+    });
+
+    it("names the file for each configuration", function() {
+      const reporter = new TAPReporter({ file: path.join(dir, "results.tap") }).forConfiguration("xenial");
+      assert.equal(reporter.file, path.join(dir, "results-xenial.tap"));
+      assert.equal(new TAPReporter().forConfiguration("xenial"), null);
+    });
+
+  });
+
+});
@@ -0,0 +1,90 @@
+const assert = require("assert");
+const CommandRunner = require("../CommandRunner");
+const Waiter = require("../Waiter");
+const WaitTimeoutError = require("../WaitTimeoutError");
+
+describe("Waiter", function() {
+
+  describe("#delay", function() {
+
+    it("backs off exponentially up to maxDelay", function() {
+      const waiter = new Waiter("test", () => true, { initialDelay: 100, factor: 2, maxDelay: 500, jitter: 0 });
+      assert.deepEqual([ 1, 2, 3, 4, 5 ].map(attempt => waiter.delay(attempt)), [ 100, 200, 400, 500, 500 ]);
+    });
+
+    it("varies the delay by up to jitter", function() {
+      const waiter = new Waiter("test", () => true, { initialDelay: 100, jitter: 0.5 });
+      for(let i = 0; i < 20; ++i) {
+        const delay = waiter.delay(1);
+        assert.ok(delay >= 50 && delay <= 150, `${delay} is outside 50-150`);
+      }
+    });
+
+  });
+
+  describe("#wait", function() {
+
+    it("retries with backoff until the check passes", function() {
+      let checks = 0;
+      const progress = [];
+      return new Waiter("test", () => ++checks >= 3 ? "ready" : false, { initialDelay: 10, jitter: 0 })
+        .on("progress", p => progress.push(p))
+        .wait()
+        .then(value => {
+          assert.equal(value, "ready");
+          assert.deepEqual(progress.map(p => p.attempt), [ 1, 2 ]);
+          assert.deepEqual(progress.map(p => p.delay), [ 10, 20 ]);
+          assert.equal(progress[0].error.message, "test isn't ready yet.");
+        });
+    });
+
+    it("gives the check the attempt timeout", function() {
+      const given = [];
+      return new Waiter("test", attempt => given.push(attempt), { timeout: 1000, attemptTimeout: 200 })
+        .wait()
+        .then(() => assert.deepEqual(given, [ { timeout: 200 } ]));
+    });
+
+    it("stops at a fatal error", function() {
+      let checks = 0;
+      const waiter = new Waiter("test", () => {
+        ++checks;
+        throw Waiter.fatal(new Error("Broken."));
+      }, { initialDelay: 10 });
+      return waiter.wait().then(() => assert.fail("Expected wait to reject."), err => {
+        assert.equal(err.message, "Broken.");
+        assert.equal(checks, 1);
+      });
+    });
+
+    it("rejects with the last failure once the timeout passes", function() {
+      let checks = 0;
+      const waiter = new Waiter("test", () => Promise.reject(new Error(`Failure ${++checks}`)), {
+        timeout: 100,
+        initialDelay: 10,
+        jitter: 0,
+      });
+      return waiter.wait().then(() => assert.fail("Expected wait to reject."), err => {
+        assert.ok(err instanceof WaitTimeoutError);
+        assert.equal(err.attempts, checks);
+        assert.equal(err.lastError.message, `Failure ${checks}`);
+        assert.ok(err.message.indexOf(`Last failure: Failure ${checks}`) !== -1);
+      });
+    });
+
+    it("kills a command that outlives its attempt", function() {
+      const runner = new CommandRunner();
+      const runs = [];
+      const waiter = new Waiter("sleep", attempt => {
+        runs.push(runner.run([ "sleep", "5" ], attempt).catch(err => err));
+        return runs[runs.length - 1].then(err => Promise.reject(err));
+      }, { timeout: 300, attemptTimeout: 100 });
+      return waiter.wait()
+        .then(() => assert.fail("Expected wait to reject."), err => assert.ok(err instanceof WaitTimeoutError))
+        .then(() => Promise.all(runs))
+        .then(errors => assert.deepEqual(errors.map(err => err.timedOut), runs.map(() => true)));
+    });
+
+  });
+
+});